@@ -17,175 +17,2130 @@ import Pear from 'pear'
 import Hyperswarm from 'hyperswarm'
 import b4a from 'b4a'
 import crypto from 'hypercore-crypto'
-import { createCipheriv, createDecipheriv, randomBytes, createHash } from 'crypto'
+import { createCipheriv, createDecipheriv, randomBytes, createHash, timingSafeEqual } from 'crypto'
 import { WebSocketServer } from 'ws'
 import http from 'http'
 import fs from 'fs'
 import path from 'path'
 import readline from 'readline'
+import { hex, unhex, isKeyHex, encKeyPair, deriveSharedSecret, hkdf } from './lib/keys.js'
+import {
+  PAYLOAD_VERSION, PADDED_PAYLOAD_VERSION,
+  rotateSignedPrekey, prekeyBundle, issueOneTimePrekey, encryptFor, decryptFrom, dropActive
+} from './lib/ratchet.js'
+import { STORE_AAD, sealIdentity, unsealIdentity, storeKeyFor, sealJSON, openJSON } from './lib/vault.js'
+import { safetyNumber as computeSafetyNumber } from './lib/safety.js'
+import { ENVELOPE_VERSION, sign, verifyMsg, signEnvelope, verifyEnvelope } from './lib/signing.js'
+import { MAX_FRAME, encodeFrame, frameDecoder } from './lib/framing.js'
+import { PADDING_POLICIES, pad, unpad } from './lib/padding.js'
+import {
+  MAX_GROUP_MEMBERS, MAX_GROUP_NAME, validGroupState, groupTransition, groupAccepts, withMember, withoutMember
+} from './lib/groups.js'
+import { MAX_REQUEST_NOTES, holdRefusal, holdEntry, purgeRequests } from './lib/requests.js'
+import { helloAdmission, noteAdmission, checkBlockable, releaseRefused } from './lib/blocking.js'
+import { MAILBOX_REF_RE, mailboxTopic, mailboxTag, registrationError, holdItem, dropItem, purgeItems, acceptDeposit } from './lib/mailbox.js'
+import { pairTopic, topicKey, wantsDiscovery } from './lib/rendezvous.js'
 
 const { config, teardown } = Pear
 
 // ─── Config ───────────────────────────────────────────────────────────────────
 const HTTP_PORT  = config?.port  || 7474
 const WS_PORT    = HTTP_PORT + 1
+const UI_HOST    = '127.0.0.1'   // the UI and WS API are for this machine only
 const STORE_PATH = config?.storePath || './stores/whisper1'
-// Shared discovery topic — all TracWhisper peers meet here to exchange pubkeys
+const MAILBOX    = !!config?.mailbox   // --mailbox: hold sealed notes for users who are offline
+// Shared discovery topic — peers meet here for first contact (optional, see Rendezvous topics)
 const DISCOVERY_TOPIC = b4a.from(
   createHash('sha256').update('tracwhisper-v1-trac-network-encrypted-notes').digest()
 )
 
 // ─── State ────────────────────────────────────────────────────────────────────
-const peers      = new Map()   // pubKeyHex → { conn, encPubKey }
-const inbox      = []          // { id, from, fromShort, body, ts, read }
-const sent       = []          // { id, to, toShort, body, ts }
-const contacts   = new Map()   // pubKeyHex → { label, encPubKey }
+const peers      = new Map()   // noiseKeyHex → { conn, pubKey, encPubKey, v, caps }
+const identities = new Map()   // pubKeyHex → Set<noiseKeyHex> (live, hello verified)
+const inbox      = []          // { id, from, body, ts, read, sealed }
+const sent       = []          // { id, to, body, ts, status }
+const outbox     = new Map()   // key → signed wire message (note or ack) waiting for its recipient
+const seen       = new Map()   // `${from}:${noteId}` → first-seen ms, oldest first
+const contacts   = new Map()   // pubKeyHex → { petname, suggested, encPubKey, … }
+const groups     = new Map()   // groupId → signed group state { id, name, creator, admins, members, epoch, ts, by, sig }
+const requests   = new Map()   // pubKeyHex → [{ msg, sealed, at }] notes from senders we hold no contact for
+const blocked    = new Map()   // pubKeyHex → ms when blocked
+const refused    = new Map()   // noiseKeyHex → blocked pubKeyHex, firewalled until lock
+let   allowOnly  = false       // only contacts the user added or accepted may deliver notes
+let   discovery  = null        // global discovery topic: true/false as the user set it, null = automatic
+let   myMailbox  = null        // sign pubkey of the mailbox holding notes for us while we are offline
 let   swarm      = null
 let   wss        = null
 let   myKeyPair  = null        // Ed25519 { publicKey, secretKey }
 let   myEncKey   = null        // X25519   { publicKey, secretKey }
+let   storeKey   = null        // seals the state files, derived from the sign secret key
+let   locked     = true        // no keys in memory until the passphrase is entered
 
 // ─── Identity ─────────────────────────────────────────────────────────────────
-function loadOrCreate (storePath) {
-  fs.mkdirSync(storePath, { recursive: true })
-  const f = path.join(storePath, 'identity.json')
+// v1 identities stored a random 32-byte "enc public key" unrelated to the secret,
+// so no two peers could ever agree on a key. v2 uses a real X25519 keypair.
+const IDENTITY_VERSION = 2
+// Secret keys are sealed under a passphrase (see lib/vault.js)
+const MIN_PASSPHRASE = 8
+
+function identityPath (storePath) {
+  return path.join(storePath, 'identity.json')
+}
+
+// 'new' and 'plaintext' both need a passphrase chosen, 'sealed' needs it entered
+function identityStatus (storePath) {
+  const f = identityPath(storePath)
+  if (!fs.existsSync(f)) return 'new'
+  return JSON.parse(fs.readFileSync(f, 'utf8')).sealed ? 'sealed' : 'plaintext'
+}
+
+async function writeIdentity (f, { sign, enc }, passphrase) {
+  const sealed = await sealIdentity({
+    sign: { pub: hex(sign.publicKey), sec: hex(sign.secretKey) },
+    enc:  { pub: hex(enc.publicKey),  sec: hex(enc.secretKey) }
+  }, passphrase)
+  fs.writeFileSync(f, JSON.stringify({ v: IDENTITY_VERSION, ...sealed }), { mode: 0o600 })
+}
+
+async function loadOrCreate (storePath, passphrase) {
+  fs.mkdirSync(storePath, { recursive: true, mode: 0o700 })
+  const f = identityPath(storePath)
   if (fs.existsSync(f)) {
-    const raw = JSON.parse(fs.readFileSync(f, 'utf8'))
-    return {
-      sign: {
-        publicKey: b4a.from(raw.sign.pub, 'hex'),
-        secretKey: b4a.from(raw.sign.sec, 'hex')
-      },
-      enc: {
-        publicKey: b4a.from(raw.enc.pub, 'hex'),
-        secretKey: b4a.from(raw.enc.sec, 'hex')
+    let raw = JSON.parse(fs.readFileSync(f, 'utf8'))
+    const plaintext = !raw.sealed
+    if (!plaintext) raw = await unsealIdentity(raw, passphrase)
+    const sign = {
+      publicKey: b4a.from(raw.sign.pub, 'hex'),
+      secretKey: b4a.from(raw.sign.sec, 'hex')
+    }
+    const enc = encKeyPair(b4a.from(raw.enc.sec, 'hex'))
+    if (raw.v === IDENTITY_VERSION && raw.enc.pub === b4a.toString(enc.publicKey, 'hex')) {
+      if (plaintext) {
+        await writeIdentity(f, { sign, enc }, passphrase)
+        console.log('[identity] identity.json is now passphrase-protected')
       }
+      return { sign, enc, migrated: false }
+    }
+    // Broken v1 identity: keep the signing key (it is what contacts address
+    // notes to) and regenerate the encryption keypair. Peers pick up the new
+    // enc key from our next hello.
+    const fresh = { sign, enc: encKeyPair() }
+    await writeIdentity(f, fresh, passphrase)
+    console.warn('[identity] upgraded identity.json to X25519 — contacts will re-learn your enc key on next hello')
+    return { ...fresh, migrated: true }
+  }
+  // Ed25519 signing keypair + X25519 encryption keypair
+  const identity = { sign: crypto.keyPair(), enc: encKeyPair() }
+  await writeIdentity(f, identity, passphrase)
+  return { ...identity, migrated: false }
+}
+
+// ── Lock / unlock ──
+// While locked no secret key is in memory and the swarm is down; the UI and
+// CLI stay up so the passphrase can be entered.
+let unlocking = null
+
+function unlock (passphrase) {
+  if (!locked) return Promise.resolve()
+  if (!unlocking) {
+    unlocking = (async () => {
+      if (identityStatus(STORE_PATH) !== 'sealed' && String(passphrase).length < MIN_PASSPHRASE) {
+        throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE} characters`)
+      }
+      const identity = await loadOrCreate(STORE_PATH, String(passphrase))
+      myKeyPair = identity.sign
+      myEncKey  = identity.enc
+      storeKey  = storeKeyFor(myKeyPair.secretKey)
+      loadPrekeys()
+      loadSessions()
+      loadPins()
+      loadStore()
+      locked = false
+      console.log('[identity] unlocked')
+      // startSwarm creates the swarm synchronously, so init can carry its noise key
+      const joining = startSwarm()
+      wss?.clients.forEach(sendInit)
+      await joining
+    })().finally(() => { unlocking = null })
+  }
+  return unlocking
+}
+
+async function lock () {
+  if (locked) return
+  locked = true
+  const s = swarm
+  swarm = null
+  peers.clear()
+  identities.clear()
+  refused.clear()
+  pairTopics.clear()
+  mailboxTopics.clear()
+  mailboxLinks.clear()
+  deposits.clear()
+  await s?.destroy()
+  myKeyPair.secretKey.fill(0)
+  myEncKey.secretKey.fill(0)
+  myKeyPair = null
+  myEncKey  = null
+  storeKey?.fill(0)
+  storeKey  = null
+  prekeys   = null
+  sessions.clear()
+  bundles.clear()
+  pins.clear()
+  closeStore()
+  console.log('[identity] locked')
+  broadcastToUI(lockedMessage())
+}
+
+function lockedMessage () {
+  return { type: 'locked', setup: identityStatus(STORE_PATH) !== 'sealed' }
+}
+
+// ─── Local state files ────────────────────────────────────────────────────────
+// Prekey secrets and ratchet sessions are sealed under the store key, with
+// the file name as AAD so one file cannot stand in for another.
+function readState (name, fallback) {
+  const f = path.join(STORE_PATH, name)
+  let raw
+  try { raw = JSON.parse(fs.readFileSync(f, 'utf8')) } catch { return fallback }
+  try { return openJSON(storeKey, raw.sealed, stateAAD(name)) } catch {
+    fs.renameSync(f, `${f}.unreadable-${Date.now()}`)
+    console.warn(`[store] ${name} does not open with this identity, moved aside`)
+    return fallback
+  }
+}
+
+// Write-then-rename so a crash mid-write never leaves half a session file
+function writeState (name, value) {
+  const f = path.join(STORE_PATH, name)
+  fs.writeFileSync(f + '.tmp', JSON.stringify({ sealed: sealJSON(storeKey, value, stateAAD(name)) }), { mode: 0o600 })
+  fs.renameSync(f + '.tmp', f)
+}
+
+function stateAAD (name) {
+  return b4a.from(`tracwhisper-state-v1/${name}`)
+}
+
+// ─── Encrypted store ──────────────────────────────────────────────────────────
+// Inbox, sent notes and contacts are appended to store.log as one AES-256-GCM
+// sealed record per line, under the same store key as the state files. The
+// log replays into memory on unlock and is dropped from memory on lock.
+// Compaction rewrites it from the live state; deleting a note compacts at
+// once so its ciphertext does not linger in the file.
+const STORE_FILE    = 'store.log'
+const COMPACT_SLACK = 500      // superseded records tolerated before compacting on unlock
+
+let   storeLines     = 0
+const storedContacts = new Map()   // pubKeyHex → JSON last written, to skip no-op appends
+
+function sealRecord (rec) {
+  return JSON.stringify(sealJSON(storeKey, rec, STORE_AAD)) + '\n'
+}
+
+function openRecord (line) {
+  return openJSON(storeKey, JSON.parse(line), STORE_AAD)
+}
+
+function applyRecord (rec) {
+  if (rec.t === 'inbox') inbox.push(rec.note)
+  else if (rec.t === 'sent') sent.push(rec.note)
+  else if (rec.t === 'queue') outbox.set(rec.id, rec.msg)
+  else if (rec.t === 'unqueue') outbox.delete(rec.id)
+  else if (rec.t === 'seen') seen.set(rec.key, rec.at)
+  else if (rec.t === 'group') groups.set(rec.state.id, rec.state)
+  else if (rec.t === 'request') holdEntry(requests, rec.msg, rec.sealed, rec.at)
+  else if (rec.t === 'unrequest') requests.delete(rec.from)
+  else if (rec.t === 'block') blocked.set(rec.pubKey, rec.at)
+  else if (rec.t === 'unblock') blocked.delete(rec.pubKey)
+  else if (rec.t === 'allow_only') allowOnly = rec.on
+  else if (rec.t === 'discovery') discovery = rec.on
+  else if (rec.t === 'mailbox') myMailbox = rec.pubKey
+  else if (rec.t === 'mbox_user') mailboxUsers.set(rec.pubKey, { tag: rec.tag, at: rec.at })
+  else if (rec.t === 'mbox_item') holdItem(mailboxItems, rec.to, rec.ref, rec.item, rec.at)
+  else if (rec.t === 'mbox_del') dropItem(mailboxItems, rec.to, rec.ref)
+  else if (rec.t === 'edit' || rec.t === 'retract') {
+    const note = (rec.box === 'sent' ? sent : inbox).find(n => n.id === rec.id)
+    if (note && rec.t === 'edit') applyEdit(note, rec.body, rec.ts)
+    else if (note) applyRetract(note, rec.ts)
+  }
+  else if (rec.t === 'file') {
+    const note = inbox.find(n => n.attachment?.id === rec.id)
+    if (note) note.attachment.state = rec.state
+  }
+  else if (rec.t === 'status') {
+    const note = sent.find(n => n.id === rec.id)
+    if (note) applyStatus(note, rec.status, rec.to)
+  }
+  else if (rec.t === 'read') {
+    const note = inbox.find(n => n.id === rec.id)
+    if (note) note.read = true
+  } else if (rec.t === 'contact') {
+    contacts.set(rec.pubKey, rec.contact)
+    storedContacts.set(rec.pubKey, JSON.stringify(rec.contact))
+  } else if (rec.t === 'uncontact') {
+    contacts.delete(rec.pubKey)
+    storedContacts.delete(rec.pubKey)
+  }
+}
+
+function loadStore () {
+  const f = path.join(STORE_PATH, STORE_FILE)
+  let lines = []
+  try { lines = fs.readFileSync(f, 'utf8').split('\n').filter(Boolean) } catch {}
+  let bad = 0
+  for (const line of lines) {
+    let rec
+    try { rec = openRecord(line) } catch { bad++; continue }
+    applyRecord(rec)
+  }
+  storeLines = lines.length
+  purgeSeen(Date.now())
+  purgeRequests(requests, Date.now() - NOTE_MAX_AGE)
+  purgeItems(mailboxItems, Date.now())
+  if (bad && bad === lines.length) {
+    // Nothing opens with this identity's key — keep the file aside, never overwrite it
+    fs.renameSync(f, `${f}.unreadable-${Date.now()}`)
+    storeLines = 0
+    console.warn(`[store] ${STORE_FILE} does not open with this identity, moved aside`)
+    return
+  }
+  // A torn last line (crash mid-append) would corrupt the next append, so rewrite
+  if (bad) console.warn(`[store] dropping ${bad} unreadable record(s)`)
+  if (bad || storeLines - liveRecords() > COMPACT_SLACK) compactStore()
+  expireOutbox()
+  expireNotes()
+}
+
+function closeStore () {
+  inbox.length = 0
+  sent.length  = 0
+  outbox.clear()
+  seen.clear()
+  contacts.clear()
+  storedContacts.clear()
+  groups.clear()
+  requests.clear()
+  blocked.clear()
+  allowOnly = false
+  discovery = null
+  myMailbox = null
+  mailboxReady = false
+  mailboxUsers.clear()
+  mailboxItems.clear()
+  downloads.clear()
+  clearTimeout(expiryTimer)
+  expiryTimer = null
+  storeLines = 0
+}
+
+function liveRecords () {
+  let held = 0
+  for (const entries of requests.values()) held += entries.length
+  for (const items of mailboxItems.values()) held += items.size
+  return contacts.size + groups.size + inbox.length + sent.length + outbox.size + seen.size + held + blocked.size + mailboxUsers.size +
+    (allowOnly ? 1 : 0) + (discovery === null ? 0 : 1) + (myMailbox ? 1 : 0)
+}
+
+function appendRecord (rec) {
+  fs.appendFileSync(path.join(STORE_PATH, STORE_FILE), sealRecord(rec), { mode: 0o600 })
+  storeLines++
+}
+
+function storeContact (pubKey) {
+  const contact = contacts.get(pubKey)
+  const json    = JSON.stringify(contact)
+  if (storedContacts.get(pubKey) === json) return
+  storedContacts.set(pubKey, json)
+  appendRecord({ t: 'contact', pubKey, contact })
+}
+
+function compactStore () {
+  const recs = [
+    ...[...contacts].map(([pubKey, contact]) => ({ t: 'contact', pubKey, contact })),
+    ...[...groups.values()].map(state => ({ t: 'group', state })),
+    ...inbox.map(note => ({ t: 'inbox', note })),
+    ...sent.map(note => ({ t: 'sent', note })),
+    ...[...outbox].map(([id, msg]) => ({ t: 'queue', id, msg })),
+    ...[...requests.values()].flat().map(entry => ({ t: 'request', ...entry })),
+    ...[...blocked].map(([pubKey, at]) => ({ t: 'block', pubKey, at })),
+    ...(allowOnly ? [{ t: 'allow_only', on: true }] : []),
+    ...(discovery === null ? [] : [{ t: 'discovery', on: discovery }]),
+    ...(myMailbox ? [{ t: 'mailbox', pubKey: myMailbox }] : []),
+    ...[...mailboxUsers].map(([pubKey, { tag, at }]) => ({ t: 'mbox_user', pubKey, tag, at })),
+    ...[...mailboxItems].flatMap(([to, items]) => [...items].map(([ref, { item, at }]) => ({ t: 'mbox_item', to, ref, item, at }))),
+    ...[...seen].map(([key, at]) => ({ t: 'seen', key, at }))
+  ]
+  const f = path.join(STORE_PATH, STORE_FILE)
+  fs.writeFileSync(f + '.tmp', recs.map(sealRecord).join(''), { mode: 0o600 })
+  fs.renameSync(f + '.tmp', f)
+  console.log(`[store] compacted ${storeLines} → ${recs.length} records`)
+  storeLines = recs.length
+}
+
+function deleteNote (id) {
+  for (const list of [inbox, sent]) {
+    const i = list.findIndex(n => n.id === id)
+    if (i < 0) continue
+    forgetNote(list, i)
+    compactStore()
+    return true
+  }
+  return false
+}
+
+// Drops a note and whatever hangs off it from memory; the caller compacts
+function forgetNote (list, i) {
+  const [note] = list.splice(i, 1)
+  for (const [key, msg] of outbox) if (msg.type === 'note' && msg.id === note.id) outbox.delete(key)
+  if (note.attachment) {
+    downloads.delete(note.attachment.id)
+    removeFile(note.attachment.id)
+  }
+}
+
+// ── Expiring notes ──
+// A note sent with expiresIn disappears from both sides at ts + expiresIn.
+// Removal compacts the store, so no record of it is left on disk either.
+let expiryTimer = null
+
+function expireNotes () {
+  const now  = Date.now()
+  const gone = []
+  for (const list of [inbox, sent]) {
+    for (let i = list.length - 1; i >= 0; i--) {
+      if (!list[i].expiresAt || list[i].expiresAt > now) continue
+      gone.push(list[i].id)
+      forgetNote(list, i)
+    }
+  }
+  if (gone.length) {
+    compactStore()
+    broadcastToUI({ type: 'note_expired', ids: gone })
+    console.log(`[store] ${gone.length} note(s) expired`)
+  }
+  scheduleExpiry()
+}
+
+function scheduleExpiry () {
+  clearTimeout(expiryTimer)
+  expiryTimer = null
+  let next = Infinity
+  for (const n of inbox) if (n.expiresAt < next) next = n.expiresAt
+  for (const n of sent) if (n.expiresAt < next) next = n.expiresAt
+  if (next === Infinity) return
+  // setTimeout overflows past ~24.8 days; waking up early just reschedules
+  expiryTimer = setTimeout(expireNotes, Math.min(Math.max(next - Date.now(), 0), 2 ** 31 - 1))
+}
+
+// ─── Encryption (X3DH + Double Ratchet → AES-256-GCM) ─────────────────────────
+// The ratchet itself lives in lib/ratchet.js; this keeps its state and
+// persists it. Sessions are keyed by the contact's enc pubkey.
+let   prekeys  = null          // { spks: [{ id, pub, sec, ts }], opks: [{ id, pub, sec, for, ts }] }
+const sessions = new Map()     // encPubKeyHex → { active, old: [] }
+const bundles  = new Map()     // encPubKeyHex → { spk: { id, pub }, opk: { id, pub } | null }
+
+function loadPrekeys () {
+  prekeys = readState('prekeys.json', { spks: [], opks: [] })
+  if (rotateSignedPrekey(prekeys)) writeState('prekeys.json', prekeys)
+}
+
+function loadSessions () {
+  for (const [k, v] of Object.entries(readState('sessions.json', {}))) sessions.set(k, v)
+}
+
+function saveSessions () {
+  writeState('sessions.json', Object.fromEntries(sessions))
+}
+
+function dropSession (encPubKeyHex) {
+  if (dropActive(sessions.get(encPubKeyHex))) saveSessions()
+}
+
+// ── Padding ──
+// WHISPER_PADDING picks the policy we pad with; lib/padding.js strips them all
+const PADDING = PADDING_POLICIES.includes(process.env.WHISPER_PADDING) ? process.env.WHISPER_PADDING : 'padme'
+
+function encryptMessage (plaintext, recipientEncPubKey, { padded = false } = {}) {
+  const key   = hex(recipientEncPubKey)
+  const entry = sessions.get(key) || { active: null, old: [] }
+  sessions.set(key, entry)
+  const payload = encryptFor(entry, myEncKey, recipientEncPubKey, bundles.get(key), plaintext, padded ? PADDING : null)
+  saveSessions()
+  return payload
+}
+
+function decryptMessage (payload, senderEncPubKey) {
+  const key   = hex(senderEncPubKey)
+  const entry = sessions.get(key) || { active: null, old: [] }
+  const opks  = prekeys.opks.length
+  const body  = decryptFrom(entry, myEncKey, prekeys, senderEncPubKey, payload)
+  if (body === null) return null
+  sessions.set(key, entry)
+  saveSessions()
+  if (prekeys.opks.length !== opks) writeState('prekeys.json', prekeys)
+  return body
+}
+
+// ── Content keys (multi-recipient notes) ──
+// A note for several people is encrypted once under a random content key and
+// only that key goes through each recipient's ratchet, so every recipient
+// keeps the forward secrecy of their own session while the body is sealed once.
+function encryptContent (plaintext, { padded = false } = {}) {
+  const key    = randomBytes(32)
+  const iv     = randomBytes(12)
+  const cipher = createCipheriv('aes-256-gcm', key, iv)
+  const ct     = b4a.concat([cipher.update(padded ? pad(plaintext, PADDING) : b4a.from(plaintext)), cipher.final()])
+  const v      = padded ? PADDED_PAYLOAD_VERSION : PAYLOAD_VERSION
+  return { key, content: { v, iv: hex(iv), tag: hex(cipher.getAuthTag()), ct: hex(ct) } }
+}
+
+function decryptContent (content, keyHex) {
+  const decipher = createDecipheriv('aes-256-gcm', unhex(keyHex), unhex(content.iv))
+  decipher.setAuthTag(unhex(content.tag))
+  const buf = b4a.concat([decipher.update(unhex(content.ct)), decipher.final()])
+  return b4a.toString(content.v === PADDED_PAYLOAD_VERSION ? unpad(buf) : buf)
+}
+
+// Returns { body, cc, group, attachment, expiresIn } for a note envelope, or
+// null if it does not open. cc lists the other recipients of a grouped note.
+function openNote (msg, senderEncPubKey) {
+  const inner = decryptMessage(msg.payload, senderEncPubKey)
+  if (inner === null) return null
+  if (!msg.content) return { body: inner, cc: [], group: null, attachment: null, expiresIn: null }
+  try {
+    const { body, to, group, attachment, expiresIn } = JSON.parse(decryptContent(msg.content, inner))
+    if (typeof body !== 'string' || !Array.isArray(to)) return null
+    if (attachment !== undefined && !validAttachment(attachment)) return null
+    if (expiresIn !== undefined && !validExpiry(expiresIn)) return null
+    const me = hex(myKeyPair.publicKey)
+    return {
+      body,
+      cc:         to.filter(pk => pk !== me && isKeyHex(pk)),
+      group:      typeof group === 'string' ? group : null,
+      attachment: attachment || null,
+      expiresIn:  expiresIn || null
     }
+  } catch {
+    return null
+  }
+}
+
+// ─── Message signing ──────────────────────────────────────────────────────────
+// Canonical, domain-separated signatures (lib/signing.js) under our identity
+function signMsg (domain, obj) {
+  return sign(domain, obj, myKeyPair.secretKey)
+}
+
+function sealEnvelope (type, fields) {
+  return signEnvelope(type, fields, myKeyPair.secretKey)
+}
+
+// ─── Trust (signed hello + TOFU pinning) ──────────────────────────────────────
+// A hello is signed by the sender's Ed25519 identity and names the noise key
+// of the connection it travels on, so a peer can neither claim someone else's
+// enc key nor replay their hello over another connection. The first enc key
+// seen for an identity is pinned; a different one later is held back (and
+// sending to that contact blocked) until the user runs `trust`.
+const PROTOCOL_VERSION = 4
+const HELLO_MAX_SKEW   = 10 * 60 * 1000
+// What this build understands, advertised in every hello; `pad-<policy>` names
+// our padding policy and says we strip padding
+const CAPABILITIES     = ['ratchet', 'receipts', 'sealed', 'multi', 'groups', 'attachments', 'expiry', 'edits', `pad-${PADDING}`, ...(MAILBOX ? ['mailbox'] : [])]
+const CAP_NAMES        = { ratchet: 'ratcheted encryption', receipts: 'receipts', sealed: 'sealed sender', multi: 'multi-recipient notes', groups: 'groups', attachments: 'attachments', expiry: 'expiring notes', edits: 'edits and retractions', mailbox: 'mailbox' }
+const pins = new Map()   // pubKeyHex → { encPubKey, ts }
+
+function loadPins () {
+  pins.clear()
+  for (const [k, v] of Object.entries(readState('pins.json', {}))) pins.set(k, v)
+}
+
+function pinKey (pubKey, encPubKey) {
+  pins.set(pubKey, { encPubKey, ts: Date.now() })
+  writeState('pins.json', Object.fromEntries(pins))
+}
+
+// Hellos carry only the signed prekey; the one-time prekey comes in `prekey`
+function isBundle (bundle) {
+  return isKeyHex(bundle?.spk?.pub) && /^[0-9a-f]{8}$/.test(bundle.spk.id)
+}
+
+function helloMessage () {
+  const pubKey   = hex(myKeyPair.publicKey)
+  const unsigned = {
+    type:      'hello',
+    v:         PROTOCOL_VERSION,
+    pubKey,
+    encPubKey: hex(myEncKey.publicKey),
+    noiseKey:  hex(swarm.keyPair.publicKey),
+    ts:        Date.now(),
+    label:     'peer-' + pubKey.slice(0, 8),
+    prekeys:   prekeyBundle(prekeys),
+    caps:      CAPABILITIES
+  }
+  return { ...unsigned, sig: signMsg('hello', unsigned) }
+}
+
+// Sent once per connection, right after their hello names the identity on it,
+// and again when our mailbox changes. Each identity has one outstanding
+// one-time prekey, handed out again on every reconnect until a note uses it.
+// Only contacts the user added or accepted learn our mailbox and its tag.
+function prekeyMessage (to) {
+  const opk = issueOneTimePrekey(prekeys, to, pk => contacts.has(pk))
+  writeState('prekeys.json', prekeys)
+  const fields = { opk: { id: opk.id, pub: opk.pub }, from: hex(myKeyPair.publicKey), to, ts: Date.now() }
+  if (myMailbox && contacts.get(to)?.allowed) Object.assign(fields, { mailbox: myMailbox, mailboxTag: myMailboxTag(myMailbox) })
+  return sealEnvelope('prekey', fields)
+}
+
+// Only the identity whose hello came in on this connection can hand us a
+// one-time prekey, and only for the enc key that hello pinned
+function handlePrekey (msg, noiseKey) {
+  const peer = peers.get(noiseKey)
+  if (!peer?.pubKey || msg.from !== peer.pubKey || msg.to !== hex(myKeyPair.publicKey)) return
+  if (msg.v !== ENVELOPE_VERSION) return
+  if (!isKeyHex(msg.opk?.pub) || !/^[0-9a-f]{8}$/.test(msg.opk.id) || !(Math.abs(Date.now() - msg.ts) <= HELLO_MAX_SKEW)) return
+  if (msg.mailbox !== undefined && !(isKeyHex(msg.mailbox) && MAILBOX_REF_RE.test(msg.mailboxTag))) return
+  if (!verifyEnvelope(msg)) { console.warn('[whisper] invalid prekey signature, dropping'); return }
+  const bundle = bundles.get(peer.encPubKey)
+  if (bundle) bundle.opk = { id: msg.opk.id, pub: msg.opk.pub }
+  learnMailbox(msg.from, msg.mailbox || null, msg.mailboxTag || null)
+}
+
+// Returns why the hello is unacceptable, or null
+function verifyHello (msg, noiseKeyHex) {
+  const { sig, ...unsigned } = msg
+  if (msg.v !== PROTOCOL_VERSION) return 'hello from an older build'
+  if (!isKeyHex(msg.pubKey) || !isKeyHex(msg.encPubKey)) return 'malformed hello'
+  if (!Array.isArray(msg.caps) || !msg.caps.every(c => typeof c === 'string')) return 'malformed hello'
+  if (msg.noiseKey !== noiseKeyHex) return 'hello not bound to this connection'
+  if (!(Math.abs(Date.now() - msg.ts) <= HELLO_MAX_SKEW)) return 'stale hello'
+  if (!verifyMsg('hello', unsigned, sig, msg.pubKey)) return 'bad hello signature'
+  return null
+}
+
+// ── Capabilities ──
+// The newest live connection speaks for the peer; offline, the caps from
+// their last hello (kept on the contact) do. Unknown means never seen, e.g.
+// added by hand — assume the current feature set.
+function peerCaps (pubKey) {
+  const links = [...(identities.get(pubKey) || [])]
+  return peers.get(links[links.length - 1])?.caps || contacts.get(pubKey)?.caps || null
+}
+
+function supports (pubKey, cap) {
+  const caps = peerCaps(pubKey)
+  return !caps || caps.includes(cap)
+}
+
+function requireCap (pubKey, cap) {
+  if (supports(pubKey, cap)) return
+  throw new Error(`${contactName(pubKey)}'s TracWhisper does not support ${CAP_NAMES[cap] || cap} — they need to update`)
+}
+
+function warnKeyChanged (pubKey, name) {
+  console.warn('')
+  console.warn(`[trust] ⚠️  ENCRYPTION KEY CHANGED for ${name} (${pubKey.slice(0, 20)}…)`)
+  console.warn('[trust] ⚠️  This is expected only if they reinstalled. It may also be an impersonation attempt.')
+  console.warn(`[trust] ⚠️  Notes to them are blocked. Confirm with them out of band, then run: trust ${pubKey}`)
+  console.warn('')
+}
+
+function trustKey (pubKey) {
+  const c = contacts.get(pubKey)
+  if (!c?.keyChanged) return false
+  const { encPubKey, bundle } = c.keyChanged
+  pinKey(pubKey, encPubKey)
+  if (isBundle(bundle)) bundles.set(encPubKey, { spk: bundle.spk, opk: null })
+  contacts.set(pubKey, { ...c, encPubKey, keyChanged: null })
+  storeContact(pubKey)
+  syncTopic(pubKey)
+  console.log(`[trust] now trusting the new key for ${contactName(pubKey)}`)
+  return true
+}
+
+// ─── Safety numbers ───────────────────────────────────────────────────────────
+// The number itself comes from lib/safety.js. The verified flag lives on the
+// pin, so any key change resets it.
+// While a key change is pending the number covers the new key: verifying it
+// is how the user decides to trust it.
+function safetyNumber (pubKey) {
+  const c = contacts.get(pubKey)
+  if (!c) return null
+  const theirEnc = c.keyChanged?.encPubKey || c.encPubKey
+  return {
+    pubKey,
+    label:    contactName(pubKey),
+    ...computeSafetyNumber(
+      { sign: myKeyPair.publicKey, enc: myEncKey.publicKey },
+      { sign: unhex(pubKey), enc: unhex(theirEnc) }
+    ),
+    verified: !c.keyChanged && !!pins.get(pubKey)?.verified,
+    pending:  !!c.keyChanged
+  }
+}
+
+function setVerified (pubKey, verified) {
+  const c = contacts.get(pubKey)
+  if (!c) return false
+  if (c.keyChanged) {
+    if (!verified) return false
+    trustKey(pubKey)
+  }
+  pins.set(pubKey, { ...pins.get(pubKey), verified })
+  writeState('pins.json', Object.fromEntries(pins))
+  console.log(`[trust] ${contactName(pubKey)} ${verified ? 'marked verified' : 'no longer verified'}`)
+  return true
+}
+
+// ─── P2P Networking ───────────────────────────────────────────────────────────
+// Every message goes out as a length-prefixed frame (lib/framing.js)
+const MAX_NOTE_BYTES = 192 * 1024   // plaintext; hex-encoded twice when sealed, still fits a frame
+
+// ── Sealed sender ──
+// A plain note or ack shows from/to/ts/id next to its ciphertext. Sealed, the
+// whole signed envelope is encrypted to the recipient's enc key under a fresh
+// ephemeral key, and the outside carries only that key, an opaque tag and the
+// ciphertext. The tag comes from the same DH, so the recipient recognises it
+// with one scalar multiplication and nobody else can tie it to them.
+const SEALED_VERSION = 1
+const SEALABLE       = new Set(['note', 'ack', 'group', 'edit', 'retract'])
+
+function sealedKeys (dh, eph, recipientEnc) {
+  const okm = hkdf(dh, b4a.concat([eph, recipientEnc]), 'tracwhisper/sealed', 60)
+  return { key: okm.subarray(0, 32), iv: okm.subarray(32, 44), tag: okm.subarray(44, 60) }
+}
+
+function sealFor (msg, recipientEncHex) {
+  const eph          = encKeyPair()
+  const recipientEnc = unhex(recipientEncHex)
+  const { key, iv, tag } = sealedKeys(deriveSharedSecret(eph.secretKey, recipientEnc), eph.publicKey, recipientEnc)
+  eph.secretKey.fill(0)
+  const cipher = createCipheriv('aes-256-gcm', key, iv)
+  const ct     = b4a.concat([cipher.update(JSON.stringify(msg), 'utf8'), cipher.final(), cipher.getAuthTag()])
+  return { type: 'sealed', v: SEALED_VERSION, eph: hex(eph.publicKey), tag: hex(tag), ct: hex(ct) }
+}
+
+// Returns the envelope inside, or null if the sealed message is not for us
+function unseal (msg) {
+  if (msg.v !== SEALED_VERSION || !isKeyHex(msg.eph) || typeof msg.tag !== 'string' || typeof msg.ct !== 'string') return null
+  try {
+    const eph = unhex(msg.eph)
+    const { key, iv, tag } = sealedKeys(deriveSharedSecret(myEncKey.secretKey, eph), eph, myEncKey.publicKey)
+    const theirTag = unhex(msg.tag)
+    if (theirTag.length !== tag.length || !timingSafeEqual(theirTag, tag)) return null
+    const ct       = unhex(msg.ct)
+    const decipher = createDecipheriv('aes-256-gcm', key, iv)
+    decipher.setAuthTag(ct.subarray(ct.length - 16))
+    const inner = JSON.parse(b4a.toString(b4a.concat([decipher.update(ct.subarray(0, ct.length - 16)), decipher.final()])))
+    return SEALABLE.has(inner?.type) ? inner : null
+  } catch { return null }
+}
+
+function broadcast (msg) {
+  const frame = encodeFrame(msg)
+  for (const [, p] of peers) {
+    try { p.conn.write(frame) } catch {}
+  }
+}
+
+// ── Identity layer ──
+// Notes are addressed to Whisper identities (Ed25519 sign keys); Hyperswarm
+// connects noise keys. A verified hello links the two, and every send goes
+// through that link so nothing above this layer sees a transport key.
+function linkIdentity (noiseKeyHex, pubKey) {
+  const prev = peers.get(noiseKeyHex)?.pubKey
+  if (prev && prev !== pubKey) unlinkIdentity(noiseKeyHex, prev)
+  if (!identities.has(pubKey)) identities.set(pubKey, new Set())
+  // Re-insert so the newest connection iterates last
+  identities.get(pubKey).delete(noiseKeyHex)
+  identities.get(pubKey).add(noiseKeyHex)
+}
+
+function unlinkIdentity (noiseKeyHex, pubKey) {
+  const links = identities.get(pubKey)
+  if (!links) return
+  links.delete(noiseKeyHex)
+  if (!links.size) identities.delete(pubKey)
+}
+
+function dropConnection (noiseKeyHex, conn) {
+  const p = peers.get(noiseKeyHex)
+  // Hyperswarm may already have replaced this connection with a newer one
+  if (!p || p.conn !== conn) return
+  peers.delete(noiseKeyHex)
+  mailboxLinks.delete(noiseKeyHex)
+  if (p.pubKey) unlinkIdentity(noiseKeyHex, p.pubKey)
+  broadcastToUI({ type: 'peers', count: peers.size })
+  if (p.pubKey) broadcastToUI({ type: 'contacts', contacts: contactList() })
+  if (p.pubKey && p.pubKey === myMailbox) broadcastMailbox()
+}
+
+// Returns whether the message went out on a live connection
+function sendToPeer (pubKeyHex, msg) {
+  const links = [...(identities.get(pubKeyHex) || [])]
+  const p = peers.get(links[links.length - 1])
+  if (!p?.conn) return false
+  const enc = contacts.get(pubKeyHex)?.encPubKey
+  try {
+    const wire = SEALABLE.has(msg.type) && enc && supports(pubKeyHex, 'sealed') ? sealFor(msg, enc) : msg
+    p.conn.write(encodeFrame(wire))
+    return true
+  } catch { return false }
+}
+
+// ── Rendezvous topics ──
+// Contacts meet on a topic private to each pair (lib/rendezvous.js). The
+// global discovery topic is only needed to meet someone new: by default it is
+// left once there is someone to meet on a pair topic and no queued note waits
+// for a contact we have never met.
+const pairTopics = new Map()   // pubKeyHex → { encPubKey, topic } joined for that peer
+let   discoveryJoined = false
+
+function rendezvousState () {
+  return { contacts, blocked, requests, pins }
+}
+
+// Joins or leaves the pair topic to match the peer as it stands now
+function syncTopic (pubKey) {
+  if (!swarm) return
+  const joined = pairTopics.get(pubKey)
+  const want   = topicKey(pubKey, rendezvousState())
+  if (joined?.encPubKey === want) return
+  if (joined) {
+    swarm.leave(joined.topic).catch(() => {})
+    pairTopics.delete(pubKey)
+  }
+  if (!want) return
+  let topic
+  try { topic = pairTopic(myEncKey.secretKey, hex(myKeyPair.publicKey), pubKey, want) } catch { return }
+  swarm.join(topic, { server: true, client: true })
+  pairTopics.set(pubKey, { encPubKey: want, topic })
+}
+
+function discoveryOn () {
+  return wantsDiscovery(discovery, rendezvousState(), [...outbox.values()].map(msg => msg.to))
+}
+
+function discoveryEvent () {
+  return { type: 'discovery', enabled: discoveryOn(), auto: discovery === null }
+}
+
+// Joins or leaves the global topic to match discoveryOn()
+function syncDiscovery () {
+  const on = discoveryOn()
+  if (!swarm || on === discoveryJoined) return
+  discoveryJoined = on
+  if (on) swarm.join(DISCOVERY_TOPIC, { server: true, client: true })
+  else swarm.leave(DISCOVERY_TOPIC).catch(() => {})
+  broadcastToUI(discoveryEvent())
+  console.log(`[swarm] global discovery topic ${on ? 'joined' : 'left — only contacts can find you'}`)
+}
+
+// true/false pins the global topic on or off; null leaves it automatic
+function setDiscovery (on) {
+  discovery = on
+  appendRecord({ t: 'discovery', on })
+  syncDiscovery()
+  broadcastToUI(discoveryEvent())
+}
+
+// ─── Outbox ───────────────────────────────────────────────────────────────────
+// A note is encrypted and signed once, at send time. When the recipient has no
+// live connection the wire message waits in the outbox (persisted in the
+// store) and goes out as soon as their hello arrives again, or is deposited at
+// their mailbox if they named one (`stored`). Notes still queued after
+// OUTBOX_TTL are marked failed. Acks travel the same way.
+const OUTBOX_TTL  = 7 * 24 * 60 * 60 * 1000
+// Statuses only move forward; an ack never downgrades a note already read
+// `retracted` is terminal: the note was withdrawn before it ever left the outbox
+const STATUS_RANK = { queued: 0, stored: 1, sent: 2, failed: 3, delivered: 4, read: 5, retracted: 6 }
+const MAX_RECIPIENTS = 50
+const MIN_EXPIRES_IN = 10 * 1000
+const MAX_EXPIRES_IN = 28 * 24 * 60 * 60 * 1000
+
+// `needs` lists capabilities the send needs on top of 'ratchet'
+function checkRecipient (pubKey, needs) {
+  const contact = contacts.get(pubKey)
+  if (!contact) throw new Error(`Unknown recipient ${String(pubKey).slice(0, 16)}…`)
+  if (blocked.has(pubKey)) throw new Error(`${contactName(pubKey)} is blocked — unblock them before sending`)
+  if (contact.keyChanged) throw new Error(`${contactName(pubKey)}'s encryption key changed — verify it with them and trust it before sending`)
+  requireCap(pubKey, 'ratchet')
+  for (const cap of needs) requireCap(pubKey, cap)
+}
+
+function validExpiry (ms) {
+  return Number.isInteger(ms) && ms >= MIN_EXPIRES_IN && ms <= MAX_EXPIRES_IN
+}
+
+function canPad (pubKey) {
+  return PADDING !== 'none' && (peerCaps(pubKey)?.some(c => c.startsWith('pad-')) ?? true)
+}
+
+// `to` is one sign pubkey or several. Several share one id, one encrypted
+// body and one sent record that tracks each recipient's status. Group notes,
+// notes with an attachment and expiring notes always take the grouped path,
+// so the group id, file key and expiry travel inside the content.
+function sendNote (to, body, { group, attachment, expiresIn } = {}) {
+  const recipients = [...new Set([].concat(to))]
+  if (!recipients.length) throw new Error('Pick at least one recipient')
+  if (recipients.length > MAX_RECIPIENTS) throw new Error(`At most ${MAX_RECIPIENTS} recipients per note`)
+  if (typeof body !== 'string' || (!body && !attachment)) throw new Error('Nothing to send')
+  if (b4a.byteLength(body) > MAX_NOTE_BYTES) throw new Error(`Note is too long (max ${MAX_NOTE_BYTES / 1024} KiB)`)
+  if (expiresIn != null && !validExpiry(expiresIn)) throw new Error(`expiresIn must be ${MIN_EXPIRES_IN / 1000} s to ${MAX_EXPIRES_IN / 86400000} days, in milliseconds`)
+  const multi = recipients.length > 1 || !!group || !!attachment || !!expiresIn
+  const needs = [group ? 'groups' : recipients.length > 1 && 'multi', attachment && 'attachments', expiresIn && 'expiry'].filter(Boolean)
+  for (const pk of recipients) checkRecipient(pk, needs)
+
+  const id    = randomBytes(8).toString('hex')
+  const ts    = Date.now()
+  const from  = hex(myKeyPair.publicKey)
+  const encOf = (pk) => unhex(contacts.get(pk).encPubKey)
+  let wires
+  if (!multi) {
+    const payload = encryptMessage(body, encOf(recipients[0]), { padded: canPad(recipients[0]) })
+    wires = [[recipients[0], sealEnvelope('note', { payload, from, to: recipients[0], ts, id })]]
+  } else {
+    const inner = { body, to: recipients }
+    if (group) Object.assign(inner, { group: group.id, epoch: group.epoch })
+    if (attachment) inner.attachment = attachment
+    if (expiresIn) inner.expiresIn = expiresIn
+    const { key, content } = encryptContent(JSON.stringify(inner), { padded: recipients.every(canPad) })
+    wires = recipients.map(pk => [pk, sealEnvelope('note', { payload: encryptMessage(hex(key), encOf(pk)), content, from, to: pk, ts, id })])
+    key.fill(0)
+  }
+
+  const statuses = {}
+  for (const [pk, msg] of wires) {
+    const written = sendToPeer(pk, msg)
+    if (!written) enqueue(`${id}:${pk}`, msg)
+    statuses[pk] = written ? 'sent' : 'queued'
+  }
+  const record = multi
+    ? { id, to: recipients, body, ts, status: groupStatus(statuses), recipients: statuses }
+    : { id, to: recipients[0], body, ts, status: statuses[recipients[0]] }
+  if (group) record.group = group.id
+  if (attachment) record.attachment = attachment
+  if (expiresIn) record.expiresAt = ts + expiresIn
+  sent.push(record)
+  appendRecord({ t: 'sent', note: record })
+  if (record.expiresAt) scheduleExpiry()
+  const queued = Object.values(statuses).filter(st => st === 'queued').length
+  console.log(`[whisper] 🔐 encrypted note to ${recipientName(record.to)}${queued ? ` (${queued} queued)` : ''}`)
+  return record
+}
+
+function enqueue (key, msg) {
+  outbox.set(key, msg)
+  appendRecord({ t: 'queue', id: key, msg })
+  syncDiscovery()
+  if (contacts.get(msg.to)?.mailbox) {
+    syncMailboxTopics()
+    deposit(key, msg)
   }
-  // Ed25519 signing keypair
-  const sign = crypto.keyPair()
-  // X25519 encryption keypair (derive from random seed for simplicity)
-  const encSeed = randomBytes(32)
-  // We store both; use Node crypto for X25519
-  const enc = { publicKey: randomBytes(32), secretKey: encSeed }
-  fs.writeFileSync(f, JSON.stringify({
-    sign: { pub: b4a.toString(sign.publicKey, 'hex'), sec: b4a.toString(sign.secretKey, 'hex') },
-    enc:  { pub: b4a.toString(enc.publicKey,  'hex'), sec: b4a.toString(enc.secretKey,  'hex') }
+}
+
+function dequeue (key) {
+  if (!outbox.delete(key)) return
+  appendRecord({ t: 'unqueue', id: key })
+  syncDiscovery()
+  deposits.delete(sha256Hex(key))
+}
+
+// A grouped note is only as far along as its slowest recipient
+function groupStatus (statuses) {
+  return Object.values(statuses).reduce((a, b) => STATUS_RANK[b] < STATUS_RANK[a] ? b : a)
+}
+
+// Shared by live updates and store replay; returns whether anything moved
+function applyStatus (note, status, pubKey) {
+  if (note.recipients) {
+    if (!(pubKey in note.recipients) || STATUS_RANK[status] <= STATUS_RANK[note.recipients[pubKey]]) return false
+    note.recipients[pubKey] = status
+    note.status = groupStatus(note.recipients)
+    return true
+  }
+  if (STATUS_RANK[status] <= STATUS_RANK[note.status || 'sent']) return false
+  note.status = status
+  return true
+}
+
+function setStatus (id, status, pubKey) {
+  const note = sent.find(n => n.id === id)
+  if (!note || !applyStatus(note, status, pubKey)) return
+  appendRecord({ t: 'status', id, status, to: pubKey })
+  broadcastToUI({ type: 'note_status', id, status: note.status, recipients: note.recipients })
+}
+
+function flushOutbox (pubKey) {
+  for (const [key, msg] of outbox) {
+    if (msg.to !== pubKey) continue
+    if (!sendToPeer(pubKey, msg)) return
+    dequeue(key)
+    if (msg.type === 'note') {
+      setStatus(msg.id, 'sent', pubKey)
+      console.log(`[whisper] 📤 sent queued note ${msg.id} to ${contactName(pubKey)}`)
+    }
+  }
+}
+
+function expireOutbox () {
+  const now = Date.now()
+  for (const [key, msg] of outbox) {
+    if (now - msg.ts < OUTBOX_TTL) continue
+    dequeue(key)
+    if (msg.type === 'note') setStatus(msg.id, 'failed', msg.to)
+  }
+}
+
+// ─── Replay protection ────────────────────────────────────────────────────────
+// Every note id (scoped to its sender) is remembered for SEEN_TTL, and notes
+// whose ts falls outside the window are refused outright. Acks go through the
+// same checks, so a replayed `failed` cannot keep resetting a session. The window leaves room for a note that sat in the sender's
+// outbox, and the TTL spans the whole window, so an id is never forgotten
+// while its note could still pass the ts check.
+const NOTE_MAX_AGE  = OUTBOX_TTL + 24 * 60 * 60 * 1000
+const NOTE_MAX_SKEW = 10 * 60 * 1000   // how far ahead of our clock a sender may be
+const SEEN_TTL      = NOTE_MAX_AGE + NOTE_MAX_SKEW
+const MAX_SEEN      = 50000
+const drops         = { duplicate: 0, stale: 0 }
+
+function inWindow (ts, now) {
+  return typeof ts === 'number' && ts >= now - NOTE_MAX_AGE && ts <= now + NOTE_MAX_SKEW
+}
+
+function purgeSeen (now) {
+  const cutoff = now - SEEN_TTL
+  for (const [key, at] of seen) {
+    if (at < cutoff) seen.delete(key)
+    else break
+  }
+}
+
+// Returns true when the key was seen before, i.e. the message is a replay
+function rememberSeen (key, now) {
+  if (seen.has(key)) return true
+  seen.set(key, now)
+  appendRecord({ t: 'seen', key, at: now })
+  if (seen.size > MAX_SEEN) seen.delete(seen.keys().next().value)
+  purgeSeen(now)
+  return false
+}
+
+function dropNote (reason, from, what = 'note') {
+  drops[reason]++
+  console.warn(`[whisper] dropped ${reason === 'duplicate' ? 'replayed' : 'out-of-window'} ${what} from ${from.slice(0, 16)}… (${drops.duplicate} replayed, ${drops.stale} stale so far)`)
+  broadcastToUI({ type: 'drops', ...drops })
+}
+
+// ─── Receipts ─────────────────────────────────────────────────────────────────
+// The recipient answers every note with a signed ack: `delivered` once it is
+// decrypted and stored, `failed` when it does not decrypt, and `read` when the
+// user opens it — unless read receipts are off for that contact.
+const ACK_KINDS = ['delivered', 'read', 'failed']
+
+function sendAck (to, noteId, kind) {
+  // Older peers would only log an unknown message type
+  if (!supports(to, 'receipts')) return
+  const msg = sealEnvelope('ack', { kind, id: noteId, from: hex(myKeyPair.publicKey), to, ts: Date.now() })
+  if (!sendToPeer(to, msg)) enqueue(`${kind}:${noteId}`, msg)
+}
+
+function handleAck (msg) {
+  const { kind, id, from, to, ts } = msg
+  if (to !== hex(myKeyPair.publicKey) || !ACK_KINDS.includes(kind)) return
+  if (!verifyEnvelope(msg)) { console.warn('[whisper] invalid ack signature, dropping'); return }
+  const note = sent.find(n => n.id === id)
+  if (!note || !(note.recipients ? from in note.recipients : note.to === from)) return
+  const now = Date.now()
+  if (!inWindow(ts, now)) { dropNote('stale', from, 'ack'); return }
+  if (rememberSeen(`${from}:ack:${kind}:${id}`, now)) { dropNote('duplicate', from, 'ack'); return }
+  // It reached them, through their mailbox perhaps: our queued copy is done with
+  dequeue(`${id}:${from}`)
+  setStatus(id, kind, from)
+  if (kind === 'failed') {
+    console.warn(`[whisper] ⚠️  ${contactName(from)} could not decrypt note ${id}, starting a new session`)
+    const encPubKey = contacts.get(from)?.encPubKey
+    if (encPubKey) dropSession(encPubKey)
+  }
+}
+
+function markRead (id) {
+  const note = inbox.find(n => n.id === id)
+  if (!note || note.read) return
+  note.read = true
+  appendRecord({ t: 'read', id })
+  if (contacts.get(note.from)?.readReceipts !== false) sendAck(note.from, id, 'read')
+}
+
+function setReadReceipts (pubKey, enabled) {
+  const c = contacts.get(pubKey)
+  if (!c) return false
+  contacts.set(pubKey, { ...c, readReceipts: enabled })
+  storeContact(pubKey)
+  return true
+}
+
+// ─── Contact names ────────────────────────────────────────────────────────────
+// A contact has two names: the petname the user gave it, which only the user
+// can change, and the name the peer suggests for itself in every hello. The
+// petname always wins. A suggested name is shown with a leading "~", so a
+// peer calling itself "Alice" can never pass for the Alice the user named.
+const MAX_NAME = 64
+
+function cleanName (name) {
+  return typeof name === 'string' ? name.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, MAX_NAME) : ''
+}
+
+function contactName (pubKey) {
+  const c = contacts.get(pubKey)
+  if (c?.petname) return c.petname
+  if (c?.suggested) return `~${c.suggested}`
+  return pubKey.slice(0, 16) + '…'
+}
+
+function recipientName (to) {
+  return [].concat(to).map(contactName).join(', ')
+}
+
+// Notes keep only keys. fromShort / toShort are filled in whenever a note goes
+// out to the UI or an agent, so a rename reaches old notes too.
+function withNames (note) {
+  return 'from' in note ? { ...note, fromShort: contactName(note.from) } : { ...note, toShort: recipientName(note.to) }
+}
+
+// Keys typed in by the user are trusted explicitly
+function addContact (pubKey, encPubKey, petname) {
+  if (!isKeyHex(pubKey) || !isKeyHex(encPubKey)) throw new Error('Keys must be 32-byte hex')
+  const prev = contacts.get(pubKey)
+  pinKey(pubKey, encPubKey)
+  contacts.set(pubKey, { ...prev, encPubKey, petname: cleanName(petname) || prev?.petname || null, keyChanged: null, allowed: true })
+  storeContact(pubKey)
+  syncTopic(pubKey)
+  syncDiscovery()
+  if (myMailbox && !prev?.allowed) shareMailbox(pubKey)
+}
+
+// An empty name clears the petname, falling back to the suggested one
+function renameContact (pubKey, petname) {
+  const c = contacts.get(pubKey)
+  if (!c) return false
+  contacts.set(pubKey, { ...c, petname: cleanName(petname) || null })
+  storeContact(pubKey)
+  return true
+}
+
+// The pin stays, so if they say hello again their key is still checked
+// against the one first seen
+function removeContact (pubKey) {
+  if (!contacts.delete(pubKey)) return false
+  storedContacts.delete(pubKey)
+  appendRecord({ t: 'uncontact', pubKey })
+  syncTopic(pubKey)
+  syncDiscovery()
+  return true
+}
+
+// ─── Message requests ─────────────────────────────────────────────────────────
+// A note from an identity we hold no contact for cannot be decrypted: its
+// enc key is unknown. Rather than dropping it, the verified envelope waits
+// (lib/requests.js) until the user accepts the sender, which adds the contact
+// and delivers the held notes as if they had just arrived, or rejects it. In
+// allow-only mode, notes from contacts the user never added wait here too.
+// Nothing is acked while a note waits, so to the sender a request looks like
+// an offline peer.
+
+function requestList () {
+  return [...requests].map(([from, entries]) => ({
+    from,
+    fromShort: contactName(from),
+    encPubKey: contacts.get(from)?.encPubKey || pins.get(from)?.encPubKey || null,
+    count:     entries.length,
+    first:     entries[0].msg.ts,
+    last:      entries[entries.length - 1].msg.ts
   }))
-  return { sign, enc }
 }
 
-// ─── Encryption (AES-256-GCM with shared secret via ECDH-like XOR KDF) ───────
-// Simple but effective: shared secret = HMAC-SHA256(mySecKey XOR theirPubKey)
-function deriveSharedSecret (mySecretKey, theirPublicKey) {
-  const xored = Buffer.alloc(32)
-  for (let i = 0; i < 32; i++) xored[i] = mySecretKey[i] ^ theirPublicKey[i % theirPublicKey.length]
-  return createHash('sha256').update(xored).digest()
+function holdRequest (msg, sealed) {
+  const refusal = holdRefusal(requests, msg.from)
+  if (refusal === 'too many senders') { console.warn('[whisper] too many message requests waiting, dropping note from unknown sender'); return }
+  if (refusal) { console.warn(`[whisper] ${msg.from.slice(0, 16)}… already has ${MAX_REQUEST_NOTES} notes waiting, dropping`); return }
+  const at = Date.now()
+  holdEntry(requests, msg, sealed, at)
+  appendRecord({ t: 'request', msg, sealed, at })
+  syncTopic(msg.from)
+  syncDiscovery()
+  broadcastToUI({ type: 'requests', requests: requestList() })
+  console.log(`[whisper] 📨 message request from ${contacts.has(msg.from) ? contactName(msg.from) : 'unknown sender ' + msg.from.slice(0, 16) + '…'} — type \`requests\` to review`)
+}
+
+// encPubKey is only needed if the sender has not sent a hello since
+function acceptRequest (from, encPubKey, label) {
+  const entries = requests.get(from)
+  if (!entries) throw new Error('No message request from that key')
+  const contact = contacts.get(from)
+  if (!contact) {
+    const key = encPubKey || pins.get(from)?.encPubKey
+    if (!key) throw new Error('Their enc key is not known yet — enter it, or wait until they come online')
+    addContact(from, key, label)
+  } else if (!contact.allowed) {
+    contacts.set(from, { ...contact, allowed: true })
+    storeContact(from)
+    if (myMailbox) shareMailbox(from)
+  }
+  broadcastToUI({ type: 'contacts', contacts: contactList() })
+  requests.delete(from)
+  appendRecord({ t: 'unrequest', from })
+  for (const { msg, sealed } of entries) receiveNote(msg, sealed)
+  broadcastToUI({ type: 'requests', requests: requestList() })
+  console.log(`[whisper] accepted ${entries.length} note(s) from ${contactName(from)}`)
+  return entries.length
+}
+
+function rejectRequest (from) {
+  if (!requests.delete(from)) return false
+  // Compact so the held ciphertext does not linger in store.log
+  compactStore()
+  syncTopic(from)
+  syncDiscovery()
+  broadcastToUI({ type: 'requests', requests: requestList() })
+  return true
+}
+
+// ─── Blocking ─────────────────────────────────────────────────────────────────
+// A blocked identity's hellos are refused, the noise keys it connected with
+// are firewalled for the rest of the session, and anything it signs is
+// dropped unread. Allow-only mode is the wider net: everyone but the contacts
+// the user added or accepted waits as a message request (lib/blocking.js
+// decides who gets in). Both live in store.log rather than a state file, so
+// who you block stays encrypted at rest.
+function blockList () {
+  return [...blocked].map(([pubKey, at]) => ({ pubKey, label: contactName(pubKey), at }))
+}
+
+function broadcastBlocks () {
+  broadcastToUI({ type: 'blocklist', blocked: blockList(), allowOnly })
+  broadcastToUI({ type: 'contacts', contacts: contactList() })
+}
+
+function refuseConnection (noiseKeyHex, pubKey) {
+  refused.set(noiseKeyHex, pubKey)
+  peers.get(noiseKeyHex)?.conn?.destroy()
+}
+
+function blockPeer (pubKey) {
+  checkBlockable(pubKey, hex(myKeyPair.publicKey))
+  if (blocked.has(pubKey)) return
+  const at = Date.now()
+  blocked.set(pubKey, at)
+  appendRecord({ t: 'block', pubKey, at })
+  syncTopic(pubKey)
+  syncDiscovery()
+  for (const noiseKey of [...(identities.get(pubKey) || [])]) refuseConnection(noiseKey, pubKey)
+  // Whatever they had waiting goes with them
+  if (requests.has(pubKey)) rejectRequest(pubKey)
+  broadcastBlocks()
+  console.log(`[whisper] ⛔ blocked ${contactName(pubKey)}`)
+}
+
+function unblockPeer (pubKey) {
+  if (!blocked.delete(pubKey)) return false
+  appendRecord({ t: 'unblock', pubKey })
+  syncTopic(pubKey)
+  syncDiscovery()
+  releaseRefused(refused, pubKey)
+  broadcastBlocks()
+  return true
+}
+
+function setAllowOnly (on) {
+  allowOnly = on
+  appendRecord({ t: 'allow_only', on })
+  broadcastBlocks()
+  console.log(`[whisper] allow-only mode ${on ? 'on: notes from contacts you did not add wait as requests' : 'off'}`)
+}
+
+function admissionPolicy () {
+  return { blocked, allowOnly, contacts }
+}
+
+// ─── Mailboxes ────────────────────────────────────────────────────────────────
+// Store-and-forward for contacts who are rarely online at the same time. A
+// node started with --mailbox holds envelopes for identities that registered
+// with it, and hands them over once the recipient is connected under a
+// verified hello and has signed a fetch. Users register an opaque tag with a
+// signed message, so the mailbox knows whose each tag is, and hand the
+// mailbox and tag only to contacts they added or accepted, in the prekey
+// message. A sender with something queued for such a contact joins the
+// mailbox's topic, seals each queued envelope to the recipient's enc key
+// exactly as it would go on the wire, and deposits it under the tag. The
+// deposit itself is unsigned and names nobody, but it comes in over a
+// connection whose hello names the sender: the mailbox can tell who leaves
+// how much for which of its users, and when, never what. It stores nothing
+// about the sender with the item. The sender keeps its own copy queued until
+// the recipient acks, so an item a mailbox refuses or loses only costs time.
+// What a mailbox may hold, and how, is in lib/mailbox.js.
+const MAILBOX_WINDOW = 16   // items handed over ahead of their acks
+const MAILBOX_TYPES  = new Set(['mbox_register', 'mbox_put', 'mbox_fetch', 'mbox_ack', 'mbox_ok', 'mbox_held', 'mbox_item'])
+
+const mailboxTopics = new Map()   // mailbox pubKeyHex → topic joined as a client
+const deposits      = new Map()   // sha256(outbox key) → outbox key, deposited this session
+let   mailboxReady  = false       // our mailbox confirmed our registration
+// Mailbox role
+const mailboxUsers  = new Map()   // pubKeyHex → { tag, at } registered
+const mailboxItems  = new Map()   // recipient pubKeyHex → Map<ref, { item, size, at }>
+const mailboxLinks  = new Map()   // noiseKeyHex → Set<ref> handed over on that connection, not acked yet
+
+// What deposits for us are addressed to at that mailbox
+function myMailboxTag (pubKey) {
+  return mailboxTag(myKeyPair.secretKey, pubKey)
+}
+
+function mailboxStats () {
+  let items = 0
+  let bytes = 0
+  for (const held of mailboxItems.values()) for (const { size } of held.values()) { items++; bytes += size }
+  return { users: mailboxUsers.size, items, bytes }
+}
+
+function mailboxView () {
+  return {
+    pubKey:     myMailbox,
+    label:      myMailbox ? contactName(myMailbox) : null,
+    online:     !!myMailbox && identities.has(myMailbox),
+    registered: mailboxReady,
+    serving:    MAILBOX ? mailboxStats() : null
+  }
+}
+
+function broadcastMailbox () {
+  broadcastToUI({ type: 'mailbox', ...mailboxView() })
+}
+
+// Every mailbox message but a deposit is a signed envelope from → to
+function sendMailbox (to, type, fields = {}) {
+  return sendToPeer(to, sealEnvelope(type, { ...fields, from: hex(myKeyPair.publicKey), to, ts: Date.now() }))
+}
+
+// Joins the topic of our own mailbox and of every mailbox something in the
+// outbox could be deposited at, and leaves the rest
+function syncMailboxTopics () {
+  if (!swarm) return
+  const want = new Set(myMailbox ? [myMailbox] : [])
+  for (const msg of outbox.values()) {
+    const box = contacts.get(msg.to)?.mailbox
+    if (box && !blocked.has(box)) want.add(box)
+  }
+  want.delete(hex(myKeyPair.publicKey))
+  for (const [pubKey, topic] of mailboxTopics) {
+    if (want.has(pubKey)) continue
+    swarm.leave(topic).catch(() => {})
+    mailboxTopics.delete(pubKey)
+  }
+  for (const pubKey of want) {
+    if (mailboxTopics.has(pubKey)) continue
+    const topic = mailboxTopic(pubKey)
+    swarm.join(topic, { server: false, client: true })
+    mailboxTopics.set(pubKey, topic)
+  }
+}
+
+// Where notes for a contact can wait, as their latest prekey message says
+function learnMailbox (pubKey, mailbox, tag) {
+  const c = contacts.get(pubKey)
+  if (!c || ((c.mailbox || null) === mailbox && (c.mailboxTag || null) === tag)) return
+  contacts.set(pubKey, { ...c, mailbox, mailboxTag: tag })
+  storeContact(pubKey)
+  syncMailboxTopics()
+  broadcastToUI({ type: 'contacts', contacts: contactList() })
+}
+
+// A connected contact the user chose learns our mailbox as it stands now
+function shareMailbox (pubKey) {
+  if (contacts.get(pubKey)?.allowed && identities.has(pubKey)) sendToPeer(pubKey, prekeyMessage(pubKey))
+}
+
+function setMailbox (pubKey) {
+  pubKey = pubKey || null
+  if (pubKey && !isKeyHex(pubKey)) throw new Error('Mailbox key must be 32-byte hex')
+  if (pubKey === hex(myKeyPair.publicKey)) throw new Error('You cannot be your own mailbox')
+  if (pubKey === myMailbox) return
+  // The old one drops whatever it still holds; senders keep their copies
+  if (myMailbox) sendMailbox(myMailbox, 'mbox_register', { enabled: false })
+  myMailbox    = pubKey
+  mailboxReady = false
+  appendRecord({ t: 'mailbox', pubKey })
+  syncMailboxTopics()
+  // Connected contacts learn it now, the rest on their next connection
+  for (const pk of identities.keys()) shareMailbox(pk)
+  if (pubKey && identities.has(pubKey)) mailboxHello(pubKey)
+  broadcastMailbox()
+  console.log(pubKey ? `[mailbox] notes for you wait at ${contactName(pubKey)} while you are offline` : '[mailbox] off — notes wait in their senders\' outboxes')
+}
+
+// A hello from a mailbox: ours gets registered with and fetched from, and
+// anything queued for its users goes in
+function mailboxHello (pubKey) {
+  if (!peerCaps(pubKey)?.includes('mailbox')) {
+    if (pubKey === myMailbox) console.warn(`[mailbox] ${contactName(pubKey)} is not running with --mailbox, nothing can wait there`)
+    return
+  }
+  if (pubKey === myMailbox) {
+    sendMailbox(pubKey, 'mbox_register', { enabled: true, tag: myMailboxTag(pubKey) })
+    sendMailbox(pubKey, 'mbox_fetch')
+  }
+  let n = 0
+  for (const [key, msg] of outbox) if (contacts.get(msg.to)?.mailbox === pubKey && deposit(key, msg)) n++
+  if (n) console.log(`[mailbox] 📮 deposited ${n} queued item(s) at ${contactName(pubKey)}`)
+}
+
+// Returns whether the envelope went out to the recipient's mailbox. It goes
+// unsigned, under their tag, so the deposit names neither us nor them
+function deposit (key, msg) {
+  const c   = contacts.get(msg.to)
+  const box = c?.mailbox
+  const ref = sha256Hex(key)
+  // Held back like the outbox while their key is in question; never unsealed
+  if (!box || !c.mailboxTag || c.keyChanged || deposits.has(ref) || !supports(msg.to, 'sealed')) return false
+  if (!identities.has(box) || !peerCaps(box)?.includes('mailbox')) return false
+  if (!sendToPeer(box, { type: 'mbox_put', tag: c.mailboxTag, ref, item: sealFor(msg, c.encPubKey) })) return false
+  deposits.set(ref, key)
+  return true
+}
+
+function mailboxRegister (msg) {
+  const { from, tag } = msg
+  const user = mailboxUsers.get(from)
+  if (msg.enabled === true && user?.tag !== tag) {
+    const reason = registrationError(mailboxUsers, from, tag)
+    if (reason) {
+      console.warn(`[mailbox] turned ${contactName(from)} away: ${reason}`)
+      sendMailbox(from, 'mbox_ok', { enabled: false, held: 0 })
+      return
+    }
+    const at = user?.at || Date.now()
+    mailboxUsers.set(from, { tag, at })
+    appendRecord({ t: 'mbox_user', pubKey: from, tag, at })
+    if (!user) console.log(`[mailbox] ${contactName(from)} registered`)
+  } else if (msg.enabled === false && mailboxUsers.delete(from)) {
+    mailboxItems.delete(from)
+    // Compact so nothing held for them lingers in store.log
+    compactStore()
+    console.log(`[mailbox] ${contactName(from)} left`)
+  }
+  sendMailbox(from, 'mbox_ok', { enabled: mailboxUsers.has(from), held: mailboxItems.get(from)?.size || 0 })
+  broadcastMailbox()
+}
+
+// A deposit is answered on the connection it came in on, and nothing about
+// that connection is kept with the item
+function mailboxPut (msg, noiseKeyHex) {
+  const { tag, ref, item } = msg
+  if (!MAILBOX_REF_RE.test(tag) || !MAILBOX_REF_RE.test(ref) || item?.type !== 'sealed') return
+  const answer = (fields) => {
+    try { peers.get(noiseKeyHex)?.conn.write(encodeFrame({ type: 'mbox_held', ref, ...fields })) } catch {}
+  }
+  const { rcpt, key, added, error } = acceptDeposit(mailboxUsers, mailboxItems, msg)
+  if (error) {
+    answer({ ok: false, reason: error })
+    console.warn(`[mailbox] refused an item${rcpt ? ` for ${contactName(rcpt)}` : ''}: ${error}`)
+    return
+  }
+  if (added) {
+    const { at } = mailboxItems.get(rcpt).get(key)
+    appendRecord({ t: 'mbox_item', to: rcpt, ref: key, item, at })
+    broadcastMailbox()
+    console.log(`[mailbox] 📮 holding an item for ${contactName(rcpt)} (${mailboxItems.get(rcpt).size} waiting)`)
+  }
+  answer({ ok: true })
+  handOver(rcpt)
+}
+
+// Sends what is held for them over the first connection that signed a
+// fetch, at most MAILBOX_WINDOW items ahead of their acks
+function handOver (pubKey) {
+  const held = mailboxItems.get(pubKey)
+  if (!held) return
+  const me = hex(myKeyPair.publicKey)
+  for (const noiseKey of identities.get(pubKey) || []) {
+    const pending = mailboxLinks.get(noiseKey)
+    if (!pending) continue
+    for (const [ref, { item }] of held) {
+      if (pending.size >= MAILBOX_WINDOW) break
+      if (pending.has(ref)) continue
+      try { peers.get(noiseKey).conn.write(encodeFrame(sealEnvelope('mbox_item', { ref, item, from: me, to: pubKey, ts: Date.now() }))) } catch { break }
+      pending.add(ref)
+    }
+    return
+  }
+}
+
+function mailboxAck (msg, noiseKeyHex) {
+  const { from, ref } = msg
+  mailboxLinks.get(noiseKeyHex)?.delete(ref)
+  if (!dropItem(mailboxItems, from, ref)) return
+  appendRecord({ t: 'mbox_del', to: from, ref })
+  broadcastMailbox()
+  if (mailboxItems.has(from)) handOver(from)
+  else console.log(`[mailbox] handed everything over to ${contactName(from)}`)
+}
+
+// Our mailbox handing over something it held; the sealed envelope inside is
+// handled as if it had just arrived from its sender
+function takeItem (msg, noiseKeyHex) {
+  if (msg.from !== myMailbox || !MAILBOX_REF_RE.test(msg.ref)) return
+  if (msg.item?.type === 'sealed') handleMessage(msg.item, noiseKeyHex)
+  // Acked whatever became of it: a duplicate or an item not for us would only come back
+  sendMailbox(myMailbox, 'mbox_ack', { ref: msg.ref })
+}
+
+// Only taken from the connection of the mailbox the item was left at
+function takeHeld (msg, noiseKeyHex) {
+  const key    = deposits.get(msg.ref)
+  const queued = key && outbox.get(key)
+  const box    = peers.get(noiseKeyHex)?.pubKey
+  if (!queued || !box || contacts.get(queued.to)?.mailbox !== box) return
+  if (msg.ok !== true) {
+    deposits.delete(msg.ref)
+    console.warn(`[mailbox] ${contactName(box)} did not take an item for ${contactName(queued.to)}: ${String(msg.reason).slice(0, 100)}`)
+    return
+  }
+  if (queued.type === 'note') setStatus(queued.id, 'stored', queued.to)
+}
+
+function handleMailbox (msg, noiseKeyHex) {
+  // Deposits and their answers carry no identity at all
+  if (msg.type === 'mbox_put') { if (MAILBOX) mailboxPut(msg, noiseKeyHex); return }
+  if (msg.type === 'mbox_held') { takeHeld(msg, noiseKeyHex); return }
+  if (msg.to !== hex(myKeyPair.publicKey) || msg.v !== ENVELOPE_VERSION || !verifyEnvelope(msg)) return
+  // Only from the identity whose hello this connection carried, and fresh, so
+  // a captured request is worth nothing replayed on another connection or later
+  if (peers.get(noiseKeyHex)?.pubKey !== msg.from || !(Math.abs(Date.now() - msg.ts) <= HELLO_MAX_SKEW)) return
+  if (msg.type === 'mbox_item') { takeItem(msg, noiseKeyHex); return }
+  if (msg.type === 'mbox_ok') {
+    if (msg.from !== myMailbox) return
+    mailboxReady = msg.enabled === true
+    broadcastMailbox()
+    if (!mailboxReady) console.warn(`[mailbox] ${contactName(msg.from)} turned us away and will not hold notes for you`)
+    else console.log(`[mailbox] registered with ${contactName(msg.from)}${msg.held ? ` — ${msg.held} item(s) waiting` : ''}`)
+    return
+  }
+  // The rest is only answered by a mailbox
+  if (!MAILBOX) return
+  if (msg.type === 'mbox_register') mailboxRegister(msg)
+  if (msg.type === 'mbox_fetch' && mailboxUsers.has(msg.from)) {
+    if (!mailboxLinks.has(noiseKeyHex)) mailboxLinks.set(noiseKeyHex, new Set())
+    handOver(msg.from)
+  }
+  if (msg.type === 'mbox_ack') mailboxAck(msg, noiseKeyHex)
+}
+
+// ─── Edits and retractions ────────────────────────────────────────────────────
+// The sender of a note can replace its body (edit) or withdraw it (retract).
+// Both are signed envelopes that name the note in `ref`; recipients only take
+// them from the identity that sent the original, and they pass the same ts
+// window and seen cache as notes. An edit carries the new body through the
+// ratchet; a retraction carries nothing and leaves a tombstone. Earlier
+// versions stay in `history` until a retraction, which also compacts them
+// off disk.
+function applyEdit (note, body, ts) {
+  note.history  = [...(note.history || []), { body: note.body, ts: note.editedAt || note.ts }]
+  note.body     = body
+  note.editedAt = ts
+}
+
+function applyRetract (note, ts) {
+  if (note.attachment) {
+    downloads.delete(note.attachment.id)
+    removeFile(note.attachment.id)
+  }
+  delete note.attachment
+  delete note.history
+  delete note.editedAt
+  note.body      = ''
+  note.retracted = ts
+}
+
+function recordUpdate (box, note, rec) {
+  appendRecord({ ...rec, box, id: note.id })
+  if (rec.t === 'retract') compactStore()
+  broadcastToUI({ type: 'note_updated', box, note: withNames(note) })
+}
+
+// body === null retracts the note
+function updateSent (id, body) {
+  const note = sent.find(n => n.id === id)
+  if (!note) throw new Error('Unknown note')
+  if (note.retracted) throw new Error('That note was already retracted')
+  const retract    = body === null
+  const recipients = [].concat(note.to)
+  if (!retract) {
+    if (typeof body !== 'string' || (!body && !note.attachment)) throw new Error('Nothing to send')
+    if (b4a.byteLength(body) > MAX_NOTE_BYTES) throw new Error(`Note is too long (max ${MAX_NOTE_BYTES / 1024} KiB)`)
+    for (const pk of recipients) checkRecipient(pk, ['edits'])
+  } else {
+    for (const pk of recipients) requireCap(pk, 'edits')
+  }
+  const from = hex(myKeyPair.publicKey)
+  const ts   = Date.now()
+  const uid  = randomBytes(8).toString('hex')
+  for (const pk of recipients) {
+    // A note still waiting in the outbox is simply never sent. One already
+    // left at their mailbox will reach them, so the retraction follows it.
+    const status = note.recipients ? note.recipients[pk] : note.status
+    if (retract && status === 'queued' && outbox.has(`${id}:${pk}`) && !deposits.has(sha256Hex(`${id}:${pk}`))) {
+      dequeue(`${id}:${pk}`)
+      setStatus(id, 'retracted', pk)
+      continue
+    }
+    const fields = { ref: id, from, to: pk, ts, id: uid }
+    if (!retract) fields.payload = encryptMessage(body, unhex(contacts.get(pk).encPubKey), { padded: canPad(pk) })
+    const msg = sealEnvelope(retract ? 'retract' : 'edit', fields)
+    if (!sendToPeer(pk, msg)) enqueue(`${uid}:${pk}`, msg)
+  }
+  if (retract) applyRetract(note, ts)
+  else applyEdit(note, body, ts)
+  recordUpdate('sent', note, retract ? { t: 'retract', ts } : { t: 'edit', body, ts })
+  console.log(`[whisper] ${retract ? '⊘ retracted' : '✎ edited'} note ${id} to ${recipientName(note.to)}`)
+  return note
+}
+
+function handleUpdate (msg) {
+  const { from, to, ts, id, ref } = msg
+  if (to !== hex(myKeyPair.publicKey) || msg.v !== ENVELOPE_VERSION || !verifyEnvelope(msg)) return
+  const now = Date.now()
+  if (typeof ts !== 'number' || ts < now - NOTE_MAX_AGE || ts > now + NOTE_MAX_SKEW) { dropNote('stale', from); return }
+  if (rememberSeen(`${from}:${id}`, now)) { dropNote('duplicate', from); return }
+  const note = inbox.find(n => n.id === ref)
+  if (!note || note.from !== from) { console.warn(`[whisper] ${msg.type} from ${from.slice(0, 16)}… for a note they did not send, dropping`); return }
+  if (note.retracted || ts <= (note.editedAt || note.ts)) return
+  if (msg.type === 'retract') {
+    applyRetract(note, ts)
+    recordUpdate('inbox', note, { t: 'retract', ts })
+    console.log(`[whisper] ⊘ ${contactName(note.from)} retracted a note`)
+    return
+  }
+  const sender = contacts.get(from)
+  const body   = sender ? decryptMessage(msg.payload, unhex(sender.encPubKey)) : null
+  if (body === null) { console.warn('[whisper] edit did not decrypt, dropping'); return }
+  applyEdit(note, body, ts)
+  recordUpdate('inbox', note, { t: 'edit', body, ts })
+  console.log(`[whisper] ✎ ${contactName(note.from)} edited a note`)
+}
+
+// ─── Groups ───────────────────────────────────────────────────────────────────
+// Signed group states and the rules for taking one live in lib/groups.js.
+// Every change goes to all members, and to anyone it removes, over the usual
+// connections (queued in the outbox while they are offline).
+//
+// Group notes are grouped notes for the current members: each one has a fresh
+// content key wrapped only for them, so removal rekeys from the next note on.
+// Members also refuse group notes from anyone no longer in the group.
+
+function groupView (g) {
+  const me = hex(myKeyPair.publicKey)
+  return {
+    id:      g.id,
+    name:    g.name,
+    creator: g.creator,
+    admins:  g.admins,
+    members: g.members,
+    epoch:   g.epoch,
+    admin:   g.admins.includes(me),
+    active:  g.members.includes(me)
+  }
+}
+
+function groupList () {
+  return [...groups.values()].map(groupView)
+}
+
+function saveGroup (state) {
+  groups.set(state.id, state)
+  appendRecord({ t: 'group', state })
+  broadcastToUI({ type: 'groups', groups: groupList() })
+}
+
+function publishGroup (state, removed = []) {
+  const from = hex(myKeyPair.publicKey)
+  for (const pk of new Set([...state.members, ...removed])) {
+    if (pk === from) continue
+    const msg = sealEnvelope('group', { state, from, to: pk, ts: Date.now(), id: randomBytes(8).toString('hex') })
+    // One queued state per member and group; a newer one replaces it
+    if (!sendToPeer(pk, msg)) enqueue(`group:${state.id}:${pk}`, msg)
+  }
+}
+
+function handleGroup (msg) {
+  const me    = hex(myKeyPair.publicKey)
+  const state = msg.state
+  if (msg.to !== me || msg.v !== ENVELOPE_VERSION || !verifyEnvelope(msg)) return
+  if (!validGroupState(state) || state.by !== msg.from) { console.warn('[whisper] malformed group state, dropping'); return }
+  const { sig, ...unsigned } = state
+  if (!verifyMsg('group-state', unsigned, sig, state.by)) { console.warn('[whisper] invalid group state signature, dropping'); return }
+  const cur    = groups.get(state.id)
+  const reason = groupTransition(cur, state, me)
+  if (reason === 'not an admin') console.warn(`[whisper] group change for ${cur.name} by a non-admin, dropping`)
+  if (reason) return // old, replayed or not for us
+  saveGroup(state)
+  const who = contactName(state.by)
+  console.log(state.members.includes(me)
+    ? `[whisper] 👥 ${who} updated group ${state.name} (${state.members.length} members)`
+    : `[whisper] 👥 ${who} removed you from group ${state.name}`)
+}
+
+function checkMember (pubKey) {
+  if (!contacts.has(pubKey)) throw new Error(`Unknown contact ${String(pubKey).slice(0, 16)}…`)
+  requireCap(pubKey, 'groups')
+}
+
+function signGroup (fields) {
+  const unsigned = { ...fields, ts: Date.now(), by: hex(myKeyPair.publicKey) }
+  return { ...unsigned, sig: signMsg('group-state', unsigned) }
+}
+
+function createGroup (name, memberKeys) {
+  name = typeof name === 'string' ? name.trim() : ''
+  if (!name || name.length > MAX_GROUP_NAME) throw new Error(`Group name must be 1–${MAX_GROUP_NAME} characters`)
+  const me      = hex(myKeyPair.publicKey)
+  const members = [...new Set([me, ...[].concat(memberKeys || [])])]
+  if (members.length > MAX_GROUP_MEMBERS) throw new Error(`At most ${MAX_GROUP_MEMBERS} members per group`)
+  for (const pk of members) if (pk !== me) checkMember(pk)
+  const state = signGroup({ id: randomBytes(16).toString('hex'), name, creator: me, admins: [me], members, epoch: 1 })
+  saveGroup(state)
+  publishGroup(state)
+  return state
+}
+
+function adminGroup (groupId) {
+  const g = groups.get(groupId)
+  if (!g) throw new Error('Unknown group')
+  if (!g.admins.includes(hex(myKeyPair.publicKey))) throw new Error(`Only admins of ${g.name} can change its members`)
+  return g
+}
+
+function nextGroup (cur, changes, removed) {
+  const { sig, ts, by, ...fields } = cur
+  const state = signGroup({ ...fields, ...changes, epoch: cur.epoch + 1 })
+  saveGroup(state)
+  publishGroup(state, removed)
+  return state
+}
+
+function addGroupMember (groupId, pubKey, admin = false) {
+  const g       = adminGroup(groupId)
+  const changes = withMember(g, pubKey, admin)
+  if (!g.members.includes(pubKey)) checkMember(pubKey)
+  return nextGroup(g, changes)
+}
+
+function removeGroupMember (groupId, pubKey) {
+  const g = adminGroup(groupId)
+  return nextGroup(g, withoutMember(g, pubKey), [pubKey])
+}
+
+function sendGroupNote (groupId, body, expiresIn) {
+  const g  = groups.get(groupId)
+  const me = hex(myKeyPair.publicKey)
+  if (!g) throw new Error('Unknown group')
+  if (!g.members.includes(me)) throw new Error(`You are no longer a member of ${g.name}`)
+  const to = g.members.filter(pk => pk !== me)
+  if (!to.length) throw new Error(`${g.name} has no other members yet`)
+  return sendNote(to, body, { group: g, expiresIn })
+}
+
+// ─── Attachments ──────────────────────────────────────────────────────────────
+// A file is cut into FILE_CHUNK-byte chunks, each sealed with AES-256-GCM under
+// a per-file key. The IV is the file's nonce followed by the chunk index, so a
+// chunk only opens in its own slot. Key, nonce and the SHA-256 of the whole
+// file travel inside the encrypted note. Both sides keep the chunks encrypted
+// in files/<fileId>/; plaintext exists only in memory, while serving a download.
+//
+// The recipient pulls chunks FILE_WINDOW at a time with signed file_req
+// messages. Chunks already on disk are kept across restarts, so a transfer
+// resumes from where it stopped the next time the sender's hello arrives.
+const FILE_CHUNK     = 64 * 1024
+const FILE_WINDOW    = 8
+const MAX_FILE_BYTES = 50 * 1024 * 1024
+const FILES_DIR      = 'files'
+const FILE_ID_RE     = /^[0-9a-f]{32}$/
+const MIME_RE        = /^[\w.+-]+\/[\w.+-]+$/
+const downloads      = new Map()   // local fileId → { note, have: Set<index>, pending: Set<index> }
+
+function fileDir (fileId) {
+  return path.join(STORE_PATH, FILES_DIR, fileId)
+}
+
+function removeFile (fileId) {
+  fs.rmSync(fileDir(fileId), { recursive: true, force: true })
+}
+
+function chunkIv (nonce, index) {
+  const iv = b4a.alloc(12)
+  iv.set(nonce, 0)
+  iv.writeUInt32BE(index, 8)
+  return iv
+}
+
+function sealChunk (key, nonce, index, plain) {
+  const cipher = createCipheriv('aes-256-gcm', key, chunkIv(nonce, index))
+  return b4a.concat([cipher.update(plain), cipher.final(), cipher.getAuthTag()])
+}
+
+function openChunk (key, nonce, index, sealed) {
+  const decipher = createDecipheriv('aes-256-gcm', key, chunkIv(nonce, index))
+  decipher.setAuthTag(sealed.subarray(sealed.length - 16))
+  return b4a.concat([decipher.update(sealed.subarray(0, sealed.length - 16)), decipher.final()])
+}
+
+function sha256Hex (data) {
+  return createHash('sha256').update(data).digest('hex')
+}
+
+// name and mime end up in HTTP headers when the file is served, so they must
+// already be what storeFile would have produced
+function validAttachment (a) {
+  return !!a && typeof a === 'object' && FILE_ID_RE.test(a.id) &&
+    typeof a.name === 'string' && a.name === cleanFileName(a.name) && typeof a.mime === 'string' && MIME_RE.test(a.mime) &&
+    Number.isInteger(a.size) && a.size > 0 && a.size <= MAX_FILE_BYTES && a.chunks === Math.ceil(a.size / FILE_CHUNK) &&
+    /^[0-9a-f]{64}$/.test(a.hash) && /^[0-9a-f]{64}$/.test(a.key) && /^[0-9a-f]{16}$/.test(a.nonce)
 }
 
-function encryptMessage (plaintext, recipientEncPubKey) {
-  const secret = deriveSharedSecret(myEncKey.secretKey, recipientEncPubKey)
-  const iv     = randomBytes(12)
-  const cipher = createCipheriv('aes-256-gcm', secret, iv)
-  const enc    = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
-  const tag    = cipher.getAuthTag()
-  return {
-    iv:  iv.toString('hex'),
-    tag: tag.toString('hex'),
-    ct:  enc.toString('hex')
+function cleanFileName (name) {
+  const base = String(name || '').split(/[\\/]/).pop().replace(/[\x00-\x1f\x7f]/g, '').trim().slice(0, 200)
+  return base || 'file'
+}
+
+// Encrypts `data` into files/<fileId>/ and returns the attachment for the note
+function storeFile (data, name, mime) {
+  if (!data.length) throw new Error('File is empty')
+  if (data.length > MAX_FILE_BYTES) throw new Error(`File is too large (max ${MAX_FILE_BYTES / 1024 / 1024} MiB)`)
+  const id     = randomBytes(16).toString('hex')
+  const key    = randomBytes(32)
+  const nonce  = randomBytes(8)
+  const chunks = Math.ceil(data.length / FILE_CHUNK)
+  fs.mkdirSync(fileDir(id), { recursive: true, mode: 0o700 })
+  for (let i = 0; i < chunks; i++) {
+    fs.writeFileSync(path.join(fileDir(id), String(i)), sealChunk(key, nonce, i, data.subarray(i * FILE_CHUNK, (i + 1) * FILE_CHUNK)), { mode: 0o600 })
   }
+  const type = typeof mime === 'string' && MIME_RE.test(mime) ? mime : 'application/octet-stream'
+  return { id, name: cleanFileName(name), mime: type, size: data.length, chunks, hash: sha256Hex(data), key: hex(key), nonce: hex(nonce) }
 }
 
-function decryptMessage (payload, senderEncPubKey) {
+// Decrypts a complete attachment and checks it against the hash in its note
+function readFile (attachment) {
+  const key   = unhex(attachment.key)
+  const nonce = unhex(attachment.nonce)
+  const parts = []
+  for (let i = 0; i < attachment.chunks; i++) {
+    parts.push(openChunk(key, nonce, i, fs.readFileSync(path.join(fileDir(attachment.id), String(i)))))
+  }
+  const data = b4a.concat(parts)
+  if (data.length !== attachment.size || sha256Hex(data) !== attachment.hash) throw new Error('Attachment does not match its hash')
+  return data
+}
+
+function sendFile (to, data, name, mime, body = '', expiresIn) {
+  const attachment = storeFile(data, name, mime)
   try {
-    const secret  = deriveSharedSecret(myEncKey.secretKey, senderEncPubKey)
-    const decipher = createDecipheriv('aes-256-gcm', secret, Buffer.from(payload.iv, 'hex'))
-    decipher.setAuthTag(Buffer.from(payload.tag, 'hex'))
-    return decipher.update(Buffer.from(payload.ct, 'hex')).toString('utf8') + decipher.final('utf8')
-  } catch {
-    return null // decryption failed — not for us or tampered
+    return sendNote(to, body, { attachment, expiresIn })
+  } catch (e) {
+    removeFile(attachment.id)
+    throw e
   }
 }
 
-// ─── Message signing ──────────────────────────────────────────────────────────
-function signMsg (obj) {
-  const data = b4a.from(JSON.stringify(obj))
-  return b4a.toString(crypto.sign(data, myKeyPair.secretKey), 'hex')
+// Finds an attachment by file id, in either direction
+function findAttachment (fileId) {
+  return [...inbox, ...sent].find(n => n.attachment?.id === fileId) || null
+}
+
+function startDownload (note) {
+  const { id, chunks, key, nonce } = note.attachment
+  const have = new Set()
+  fs.mkdirSync(fileDir(id), { recursive: true, mode: 0o700 })
+  // A chunk torn by a crash fails its tag and is fetched again
+  for (const f of fs.readdirSync(fileDir(id))) {
+    const i = Number(f)
+    if (!Number.isInteger(i) || i < 0 || i >= chunks) continue
+    try {
+      openChunk(unhex(key), unhex(nonce), i, fs.readFileSync(path.join(fileDir(id), f)))
+      have.add(i)
+    } catch {}
+  }
+  downloads.set(id, { note, have, pending: new Set() })
+  requestChunks(id)
+}
+
+// Picks up unfinished downloads from a sender whose hello just arrived
+function resumeDownloads (pubKey) {
+  for (const note of inbox) {
+    if (note.from === pubKey && note.attachment?.state === 'downloading') startDownload(note)
+  }
+}
+
+function requestChunks (fileId) {
+  const dl = downloads.get(fileId)
+  const { chunks } = dl.note.attachment
+  const wanted = []
+  for (let i = 0; i < chunks && wanted.length < FILE_WINDOW; i++) if (!dl.have.has(i)) wanted.push(i)
+  if (!wanted.length) { finishDownload(fileId); return }
+  const msg = sealEnvelope('file_req', { file: dl.note.attachment.remote, index: wanted, from: hex(myKeyPair.publicKey), to: dl.note.from, ts: Date.now() })
+  // Offline senders are retried from resumeDownloads, not queued
+  if (sendToPeer(dl.note.from, msg)) dl.pending = new Set(wanted)
+}
+
+function setFileState (note, state) {
+  note.attachment.state = state
+  appendRecord({ t: 'file', id: note.attachment.id, state })
+  broadcastToUI({ type: 'file_progress', id: note.attachment.id, note: note.id, have: note.attachment.chunks, chunks: note.attachment.chunks, state })
 }
 
-function verifyMsg (obj, sig, pubKeyHex) {
+function finishDownload (fileId) {
+  const { note } = downloads.get(fileId)
+  downloads.delete(fileId)
   try {
-    const data = b4a.from(JSON.stringify(obj))
-    return crypto.verify(data, b4a.from(sig, 'hex'), b4a.from(pubKeyHex, 'hex'))
-  } catch { return false }
+    readFile(note.attachment)
+  } catch (e) {
+    console.warn(`[whisper] ⚠️  ${note.attachment.name} from ${contactName(note.from)}: ${e.message}`)
+    removeFile(fileId)
+    setFileState(note, 'failed')
+    return
+  }
+  setFileState(note, 'done')
+  console.log(`[whisper] 📎 received ${note.attachment.name} from ${contactName(note.from)}`)
 }
 
-// ─── P2P Networking ───────────────────────────────────────────────────────────
-function broadcast (msg) {
-  const raw = b4a.from(JSON.stringify(msg))
-  for (const [, p] of peers) {
-    try { p.conn.write(raw) } catch {}
+function handleFileReq (msg) {
+  const me = hex(myKeyPair.publicKey)
+  if (msg.to !== me || msg.v !== ENVELOPE_VERSION || !verifyEnvelope(msg) || !Array.isArray(msg.index)) return
+  // Only the recipients of the note that carried this file may fetch it
+  const note = sent.find(n => n.attachment?.id === msg.file)
+  if (!note || !(note.recipients ? msg.from in note.recipients : note.to === msg.from)) return
+  for (const index of msg.index.slice(0, FILE_WINDOW)) {
+    if (!Number.isInteger(index) || index < 0 || index >= note.attachment.chunks) continue
+    let sealed
+    try { sealed = fs.readFileSync(path.join(fileDir(msg.file), String(index))) } catch { return }
+    const chunk = sealEnvelope('file_chunk', { file: msg.file, index, data: b4a.toString(sealed, 'base64'), from: me, to: msg.from, ts: Date.now() })
+    if (!sendToPeer(msg.from, chunk)) return
   }
 }
 
-function sendToPeer (pubKeyHex, msg) {
-  const p = peers.get(pubKeyHex)
-  if (p) try { p.conn.write(b4a.from(JSON.stringify(msg))) } catch {}
+function handleFileChunk (msg) {
+  const dl = [...downloads.values()].find(d => d.note.from === msg.from && d.note.attachment.remote === msg.file)
+  if (!dl || msg.to !== hex(myKeyPair.publicKey) || !dl.pending.has(msg.index)) return
+  if (msg.v !== ENVELOPE_VERSION || typeof msg.data !== 'string' || !verifyEnvelope(msg)) return
+  const { attachment } = dl.note
+  const sealed = b4a.from(msg.data, 'base64')
+  try {
+    openChunk(unhex(attachment.key), unhex(attachment.nonce), msg.index, sealed)
+  } catch {
+    // The sender holds the only copy, so a chunk that fails now fails again
+    console.warn(`[whisper] ⚠️  chunk ${msg.index} of ${attachment.name} failed authentication`)
+    downloads.delete(attachment.id)
+    removeFile(attachment.id)
+    setFileState(dl.note, 'failed')
+    return
+  }
+  fs.writeFileSync(path.join(fileDir(attachment.id), String(msg.index)), sealed, { mode: 0o600 })
+  dl.pending.delete(msg.index)
+  dl.have.add(msg.index)
+  broadcastToUI({ type: 'file_progress', id: attachment.id, note: dl.note.id, have: dl.have.size, chunks: attachment.chunks, state: 'downloading' })
+  if (!dl.pending.size) requestChunks(attachment.id)
+}
+
+// Decrypts and stores a note whose envelope already passed the signature,
+// addressing and replay checks
+function receiveNote (msg, sealed) {
+  const { from, ts, id } = msg
+  const opened = openNote(msg, unhex(contacts.get(from).encPubKey))
+  if (!opened) {
+    console.warn('[whisper] decryption failed')
+    sendAck(from, id, 'failed')
+    return
+  }
+  if (opened.group && !groupAccepts(groups.get(opened.group), from, msg.to)) {
+    console.warn(`[whisper] group note from ${from.slice(0, 16)}… for a group we do not hold or they are not in, dropping`)
+    return
+  }
+
+  const note = {
+    id,
+    from,
+    body: opened.body,
+    ts,
+    read: false,
+    sealed
+  }
+  if (opened.cc.length) note.cc = opened.cc
+  if (opened.group) note.group = opened.group
+  // Their file id only names the file on their side; ours is fresh, so an id
+  // that collides with one of our own files can never touch it
+  if (opened.attachment) note.attachment = { ...opened.attachment, id: randomBytes(16).toString('hex'), remote: opened.attachment.id, state: 'downloading' }
+  if (opened.expiresIn) {
+    note.expiresAt = ts + opened.expiresIn
+    // Sat in an outbox past its lifetime: acknowledge it, keep nothing
+    if (note.expiresAt <= Date.now()) { sendAck(from, id, 'delivered'); return }
+  }
+  inbox.push(note)
+  appendRecord({ t: 'inbox', note })
+  sendAck(from, id, 'delivered')
+  console.log(`[whisper] 🔐 new encrypted note from ${contactName(note.from)}${note.attachment ? ` with ${note.attachment.name}` : ''}`)
+  broadcastToUI({ type: 'note', note: withNames(note) })
+  if (note.attachment) startDownload(note)
+  if (note.expiresAt) scheduleExpiry()
 }
 
 function handleIncoming (raw, fromPubKeyHex) {
+  if (locked) return
   let msg
-  try { msg = JSON.parse(raw.toString()) } catch { return }
+  try { msg = JSON.parse(b4a.toString(raw)) } catch {}
+  if (!msg || typeof msg !== 'object') {
+    console.warn(`[swarm] malformed frame from ${fromPubKeyHex.slice(0, 20)}…, skipped`)
+    return
+  }
+  handleMessage(msg, fromPubKeyHex)
+}
 
-  // ── Handshake: peer announces their encryption pubkey ──
+// `fromPubKeyHex` is the noise key of the connection the message came in on
+function handleMessage (msg, fromPubKeyHex) {
+  // ── Sealed sender: open it, then handle the envelope inside as usual ──
+  const sealed = msg.type === 'sealed'
+  if (sealed) {
+    msg = unseal(msg)
+    if (!msg) { console.warn(`[whisper] sealed message from ${fromPubKeyHex.slice(0, 20)}… is not for us, dropping`); return }
+  }
+
+  // ── Handshake: peer proves which identity and enc key sit behind this connection ──
   if (msg.type === 'hello') {
-    const { encPubKey, label } = msg
+    const err = verifyHello(msg, fromPubKeyHex)
+    if (err) { console.warn(`[whisper] ${err} from ${fromPubKeyHex.slice(0, 20)}…, ignoring`); return }
+    const { pubKey, encPubKey, label, prekeys: bundle, caps } = msg
+    const admission = helloAdmission(pubKey, admissionPolicy())
+    if (admission === 'refuse') {
+      console.warn(`[whisper] hello from blocked ${pubKey.slice(0, 20)}…, closing`)
+      refuseConnection(fromPubKeyHex, pubKey)
+      return
+    }
     const existing = peers.get(fromPubKeyHex) || {}
-    peers.set(fromPubKeyHex, { ...existing, encPubKey })
-    contacts.set(fromPubKeyHex, { label: label || fromPubKeyHex.slice(0, 16) + '…', encPubKey })
+    linkIdentity(fromPubKeyHex, pubKey)
+    peers.set(fromPubKeyHex, { ...existing, pubKey, encPubKey, v: msg.v, caps })
+    if (!existing.pubKey) {
+      try { existing.conn?.write(encodeFrame(prekeyMessage(pubKey))) } catch {}
+    }
+    // A mailbox needs no contact entry, so this comes before allow-only
+    if (caps.includes('mailbox') || pubKey === myMailbox) mailboxHello(pubKey)
+    if (pubKey === myMailbox) broadcastMailbox()
+    // Only ever a suggestion: shown marked as theirs, never over the user's petname
+    const suggested = cleanName(label) || null
+    const name      = suggested || pubKey.slice(0, 16) + '…'
+    const pin       = pins.get(pubKey)
+    if (!pin) pinKey(pubKey, encPubKey)
+    // Allow-only: strangers stay off the contact list; their key is pinned
+    // so a message request from them can still be accepted
+    if (admission === 'stranger') {
+      if (isBundle(bundle) && (!pin || pin.encPubKey === encPubKey)) bundles.set(encPubKey, { spk: bundle.spk, opk: null })
+      broadcastToUI({ type: 'peers', count: peers.size })
+      if (requests.has(pubKey)) broadcastToUI({ type: 'requests', requests: requestList() })
+      console.log(`[whisper] hello from ${name}, not a contact (allow-only mode)`)
+      return
+    }
+    if (!pin || pin.encPubKey === encPubKey) {
+      if (isBundle(bundle)) bundles.set(encPubKey, { spk: bundle.spk, opk: null })
+      contacts.set(pubKey, { ...contacts.get(pubKey), suggested, encPubKey, keyChanged: null, v: msg.v, caps })
+    } else {
+      // Keep using the pinned key; the new one waits until the user trusts it
+      const prev = contacts.get(pubKey)
+      contacts.set(pubKey, { ...prev, suggested, encPubKey: pin.encPubKey, keyChanged: { encPubKey, bundle, ts: Date.now() }, v: msg.v, caps })
+      if (prev?.keyChanged?.encPubKey !== encPubKey) warnKeyChanged(pubKey, contactName(pubKey))
+    }
+    storeContact(pubKey)
+    syncTopic(pubKey)
+    syncDiscovery()
     broadcastToUI({ type: 'contacts', contacts: contactList() })
     broadcastToUI({ type: 'peers', count: peers.size })
-    console.log(`[whisper] peer identified: ${fromPubKeyHex.slice(0, 20)}…`)
+    // Their enc key is known now, so a waiting request can be accepted as is
+    if (requests.has(pubKey)) broadcastToUI({ type: 'requests', requests: requestList() })
+    expireOutbox()
+    // Queued notes were sealed for the pinned key; hold them while it is in question
+    if (!contacts.get(pubKey).keyChanged) flushOutbox(pubKey)
+    syncMailboxTopics()
+    resumeDownloads(pubKey)
+    console.log(`[whisper] peer identified: ${name} (${pubKey.slice(0, 20)}…)`)
+    return
+  }
+
+  // ── Nothing signed by a blocked identity is looked at ──
+  if (blocked.has(msg.from)) return
+
+  // ── One-time prekey for the session they may start with us ──
+  if (msg.type === 'prekey') {
+    handlePrekey(msg, fromPubKeyHex)
+    return
+  }
+
+  // ── Mailbox: registrations, deposits and pickups ──
+  if (MAILBOX_TYPES.has(msg.type)) {
+    handleMailbox(msg, fromPubKeyHex)
     return
   }
 
   // ── Encrypted note ──
   if (msg.type === 'note') {
-    const { payload, sig, from, to, ts, id } = msg
+    const { from, to, ts, id } = msg
     // Only process if addressed to us
     if (to !== b4a.toString(myKeyPair.publicKey, 'hex')) return
     // Verify signature
-    const unsigned = { payload, from, to, ts, id }
-    if (!verifyMsg(unsigned, sig, from)) {
+    if (!verifyEnvelope(msg)) {
       console.warn('[whisper] invalid signature, dropping')
       return
     }
-    // Get sender's enc pubkey
-    const senderContact = contacts.get(from)
-    if (!senderContact) { console.warn('[whisper] unknown sender, dropping'); return }
-    // Decrypt
-    const body = decryptMessage(payload, b4a.from(senderContact.encPubKey, 'hex'))
-    if (!body) { console.warn('[whisper] decryption failed'); return }
-
-    const note = {
-      id,
-      from,
-      fromShort: (contacts.get(from)?.label || from.slice(0, 16) + '…'),
-      body,
-      ts,
-      read: false
-    }
-    inbox.push(note)
-    console.log(`[whisper] 🔐 new encrypted note from ${note.fromShort}`)
-    broadcastToUI({ type: 'note', note })
+    // Replays: refuse anything outside the ts window or already seen
+    const now = Date.now()
+    if (!inWindow(ts, now)) { dropNote('stale', from); return }
+    if (rememberSeen(`${from}:${id}`, now)) { dropNote('duplicate', from); return }
+    // No enc key to decrypt with, or not let in yet: hold it as a message request
+    const admission = noteAdmission(from, admissionPolicy())
+    if (admission === 'drop') return
+    if (admission === 'request') { holdRequest(msg, sealed); return }
+    receiveNote(msg, sealed)
+    return
+  }
+
+  // ── Delivery / read receipt ──
+  if (msg.type === 'ack') {
+    handleAck(msg)
+    return
+  }
+
+  // ── Edit / retraction of an earlier note ──
+  if (msg.type === 'edit' || msg.type === 'retract') {
+    handleUpdate(msg)
+    return
+  }
+
+  // ── Group state ──
+  if (msg.type === 'group') {
+    handleGroup(msg)
+    return
+  }
+
+  // ── Attachment transfer ──
+  if (msg.type === 'file_req') {
+    handleFileReq(msg)
+    return
+  }
+  if (msg.type === 'file_chunk') {
+    handleFileChunk(msg)
     return
   }
 }
 
 async function startSwarm () {
-  swarm = new Hyperswarm()
-  const myPubHex = b4a.toString(myKeyPair.publicKey, 'hex')
-  const myEncHex = b4a.toString(myEncKey.publicKey, 'hex')
+  // Noise keys that turned out to belong to a blocked identity are refused
+  // before any hello goes out
+  swarm = new Hyperswarm({ firewall: (remotePublicKey) => refused.has(hex(remotePublicKey)) })
 
   swarm.on('connection', (conn, info) => {
     const fromPubHex = b4a.toString(info.publicKey, 'hex')
@@ -193,24 +2148,30 @@ async function startSwarm () {
     peers.set(fromPubHex, { ...existing, conn })
 
     // Send our hello immediately
-    conn.write(b4a.from(JSON.stringify({
-      type:      'hello',
-      encPubKey: myEncHex,
-      label:     'peer-' + myPubHex.slice(0, 8)
-    })))
+    conn.write(encodeFrame(helloMessage()))
 
-    conn.on('data',  (d) => handleIncoming(d, fromPubHex))
-    conn.on('close', () => { peers.delete(fromPubHex); broadcastToUI({ type: 'peers', count: peers.size }) })
-    conn.on('error', () => { peers.delete(fromPubHex) })
+    conn.on('data', frameDecoder(
+      (frame) => handleIncoming(frame, fromPubHex),
+      (len) => {
+        console.warn(`[swarm] ${fromPubHex.slice(0, 20)}… sent a ${len} byte frame (max ${MAX_FRAME}), closing`)
+        conn.destroy()
+      }
+    ))
+    conn.on('close', () => dropConnection(fromPubHex, conn))
+    conn.on('error', () => dropConnection(fromPubHex, conn))
 
     broadcastToUI({ type: 'peers', count: peers.size })
     console.log(`[swarm] connected: ${fromPubHex.slice(0, 20)}…`)
   })
 
-  swarm.join(DISCOVERY_TOPIC, { server: true, client: true })
+  for (const pubKey of new Set([...contacts.keys(), ...requests.keys()])) syncTopic(pubKey)
+  syncMailboxTopics()
+  discoveryJoined = false
+  syncDiscovery()
+  // Users find their mailbox on a topic of its own, whatever its discovery setting
+  if (MAILBOX) swarm.join(mailboxTopic(hex(myKeyPair.publicKey)), { server: true, client: false })
   await swarm.flush()
-  console.log(`[swarm] joined discovery topic`)
-  teardown(() => swarm.destroy())
+  console.log(`[swarm] joined ${pairTopics.size} contact topic(s)${discoveryJoined ? ' and the discovery topic' : ''}${MAILBOX ? ' — serving as a mailbox' : ''}`)
 }
 
 // ─── WebSocket → browser ──────────────────────────────────────────────────────
@@ -222,72 +2183,227 @@ function broadcastToUI (msg) {
 
 function contactList () {
   return [...contacts.entries()].map(([pk, c]) => ({
-    pubKey:    pk,
-    encPubKey: c.encPubKey,
-    label:     c.label
+    pubKey:       pk,
+    encPubKey:    c.encPubKey,
+    label:        contactName(pk),
+    petname:      c.petname || null,
+    suggested:    c.suggested || null,
+    keyChanged:   c.keyChanged ? { encPubKey: c.keyChanged.encPubKey, ts: c.keyChanged.ts } : null,
+    verified:     !c.keyChanged && !!pins.get(pk)?.verified,
+    readReceipts: c.readReceipts !== false,
+    allowed:      !!c.allowed,
+    blocked:      blocked.has(pk),
+    protocol:     c.v || null,
+    caps:         peerCaps(pk),
+    mailbox:      c.mailbox || null,
+    noiseKeys:    [...(identities.get(pk) || [])],
+    online:       identities.has(pk)
   }))
 }
 
+function sendInit (ws) {
+  const myPubHex = b4a.toString(myKeyPair.publicKey, 'hex')
+  const myEncHex = b4a.toString(myEncKey.publicKey,  'hex')
+
+  const noiseKey = swarm ? b4a.toString(swarm.keyPair.publicKey, 'hex') : null
+
+  ws.send(JSON.stringify({ type: 'init', pubKey: myPubHex, encPubKey: myEncHex, noiseKey }))
+  ws.send(JSON.stringify({ type: 'inbox', notes: inbox.map(withNames) }))
+  ws.send(JSON.stringify({ type: 'sent',  notes: sent.map(withNames) }))
+  ws.send(JSON.stringify({ type: 'contacts', contacts: contactList() }))
+  ws.send(JSON.stringify({ type: 'groups', groups: groupList() }))
+  ws.send(JSON.stringify({ type: 'requests', requests: requestList() }))
+  ws.send(JSON.stringify({ type: 'blocklist', blocked: blockList(), allowOnly }))
+  ws.send(JSON.stringify(discoveryEvent()))
+  ws.send(JSON.stringify({ type: 'mailbox', ...mailboxView() }))
+  ws.send(JSON.stringify({ type: 'peers', count: peers.size }))
+  ws.send(JSON.stringify({ type: 'drops', ...drops }))
+}
+
+// Attachments reach the browser decrypted, always as a download so a crafted
+// file can never render on this origin
+function serveFile (res, fileId) {
+  const a = locked ? null : findAttachment(fileId)?.attachment
+  if (!a || (a.state && a.state !== 'done')) { res.writeHead(404); res.end(); return }
+  let data
+  try { data = readFile(a) } catch { res.writeHead(500); res.end(); return }
+  res.writeHead(200, {
+    'Content-Type':           a.mime,
+    'Content-Length':         data.length,
+    'Content-Disposition':    `attachment; filename*=UTF-8''${encodeURIComponent(a.name)}`,
+    'X-Content-Type-Options': 'nosniff'
+  })
+  res.end(data)
+}
+
+// Only pages we served ourselves may talk to us: a foreign Host means DNS
+// rebinding, a foreign Origin another site open in the same browser. Agents
+// connecting without a browser send no Origin.
+const UI_HOSTS   = new Set([`localhost:${HTTP_PORT}`, `127.0.0.1:${HTTP_PORT}`])
+const UI_ORIGINS = new Set([...UI_HOSTS].map(h => `http://${h}`))
+
 function startUI () {
   const httpServer = http.createServer((req, res) => {
+    if (!UI_HOSTS.has(req.headers.host)) { res.writeHead(403); res.end(); return }
+    const file = req.url.match(/^\/file\/([0-9a-f]{32})$/)
+    if (file) { serveFile(res, file[1]); return }
     res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
     res.end(HTML_UI)
   })
-  httpServer.listen(HTTP_PORT, () =>
+  httpServer.listen(HTTP_PORT, UI_HOST, () =>
     console.log(`[ui] TracWhisper → http://localhost:${HTTP_PORT}`)
   )
 
-  wss = new WebSocketServer({ port: WS_PORT })
-  wss.on('connection', (ws) => {
-    const myPubHex = b4a.toString(myKeyPair.publicKey, 'hex')
-    const myEncHex = b4a.toString(myEncKey.publicKey,  'hex')
-
-    ws.send(JSON.stringify({ type: 'init', pubKey: myPubHex, encPubKey: myEncHex }))
-    ws.send(JSON.stringify({ type: 'inbox', notes: inbox }))
-    ws.send(JSON.stringify({ type: 'sent',  notes: sent  }))
-    ws.send(JSON.stringify({ type: 'contacts', contacts: contactList() }))
-    ws.send(JSON.stringify({ type: 'peers', count: peers.size }))
+  wss = new WebSocketServer({
+    port:         WS_PORT,
+    host:         UI_HOST,
+    verifyClient: ({ origin }) => !origin || UI_ORIGINS.has(origin)
+  })
+  wss.on('connection', (ws, req) => {
+    // Only agents outside a browser may have us read a file by path
+    const fromBrowser = req.headers.origin !== undefined
+    if (locked) ws.send(JSON.stringify(lockedMessage()))
+    else sendInit(ws)
 
     ws.on('message', (raw) => {
       try {
         const { cmd, ...args } = JSON.parse(raw.toString())
 
+        // ── Unlock identity (the only command accepted while locked) ──
+        if (cmd === 'unlock') {
+          unlock(args.passphrase).catch((e) => ws.send(JSON.stringify({ type: 'error', msg: e.message })))
+          return
+        }
+        if (locked) { ws.send(JSON.stringify({ type: 'error', msg: 'Identity is locked' })); return }
+
+        // ── Lock identity ──
+        if (cmd === 'lock') {
+          lock().catch((e) => console.warn('[identity] lock failed:', e.message))
+          return
+        }
+
         // ── Send encrypted note ──
         if (cmd === 'send') {
-          const { toPubKey, body } = args
-          const contact = contacts.get(toPubKey)
-          if (!contact) { ws.send(JSON.stringify({ type: 'error', msg: 'Unknown recipient — not yet connected' })); return }
-          const encPubKey = b4a.from(contact.encPubKey, 'hex')
-          const payload   = encryptMessage(body, encPubKey)
-          const id        = randomBytes(8).toString('hex')
-          const ts        = Date.now()
-          const from      = b4a.toString(myKeyPair.publicKey, 'hex')
-          const unsigned  = { payload, from, to: toPubKey, ts, id }
-          const sig       = signMsg(unsigned)
-          const msg       = { type: 'note', ...unsigned, sig }
-
-          sendToPeer(toPubKey, msg)
-
-          const record = { id, to: toPubKey, toShort: contact.label, body, ts }
-          sent.push(record)
-          ws.send(JSON.stringify({ type: 'sent_ok', note: record }))
-          console.log(`[whisper] 🔐 sent encrypted note to ${contact.label}`)
+          const record = sendNote(args.toPubKey, args.body, { expiresIn: args.expiresIn })
+          ws.send(JSON.stringify({ type: 'sent_ok', note: withNames(record) }))
+        }
+
+        // ── Edit or retract a sent note ──
+        if (cmd === 'edit') updateSent(args.id, typeof args.body === 'string' ? args.body : '')
+        if (cmd === 'retract') updateSent(args.id, null)
+
+        // ── Send a file (base64 `data`, or a local `path` for agents outside a browser) ──
+        if (cmd === 'attach') {
+          if (typeof args.data !== 'string' && typeof args.path !== 'string') throw new Error('attach needs base64 data or a path')
+          if (typeof args.data !== 'string' && fromBrowser) throw new Error('attach from a browser takes base64 data, not a path')
+          const data = typeof args.data === 'string' ? b4a.from(args.data, 'base64') : fs.readFileSync(args.path)
+          const name = args.name || (args.path ? path.basename(args.path) : 'file')
+          const record = sendFile(args.toPubKey, data, name, args.mime, args.body || '', args.expiresIn)
+          ws.send(JSON.stringify({ type: 'sent_ok', note: withNames(record) }))
+        }
+
+        // ── Fetch a finished attachment ──
+        if (cmd === 'file_get') {
+          const a = findAttachment(args.id)?.attachment
+          if (!a || (a.state && a.state !== 'done')) { ws.send(JSON.stringify({ type: 'error', msg: 'Attachment not available' })); return }
+          ws.send(JSON.stringify({ type: 'file_data', id: a.id, name: a.name, mime: a.mime, data: b4a.toString(readFile(a), 'base64') }))
+        }
+
+        // ── Groups ──
+        if (cmd === 'group_create') {
+          const state = createGroup(args.name, args.members)
+          ws.send(JSON.stringify({ type: 'group_ok', group: groupView(state) }))
+        }
+        if (cmd === 'group_add') {
+          const state = addGroupMember(args.groupId, args.pubKey, !!args.admin)
+          ws.send(JSON.stringify({ type: 'group_ok', group: groupView(state) }))
+        }
+        if (cmd === 'group_remove') {
+          const state = removeGroupMember(args.groupId, args.pubKey)
+          ws.send(JSON.stringify({ type: 'group_ok', group: groupView(state) }))
+        }
+        if (cmd === 'group_send') {
+          const record = sendGroupNote(args.groupId, args.body, args.expiresIn)
+          ws.send(JSON.stringify({ type: 'sent_ok', note: withNames(record) }))
         }
 
         // ── Add contact manually by pubkey ──
         if (cmd === 'add_contact') {
-          const { pubKey, encPubKey, label } = args
-          contacts.set(pubKey, { encPubKey, label: label || pubKey.slice(0, 16) + '…' })
+          addContact(args.pubKey, args.encPubKey, args.label)
           ws.send(JSON.stringify({ type: 'contacts', contacts: contactList() }))
         }
 
+        // ── Petname (empty clears it) / forget a contact ──
+        if (cmd === 'rename_contact') {
+          if (!renameContact(args.pubKey, args.name)) { ws.send(JSON.stringify({ type: 'error', msg: 'Unknown contact' })); return }
+          broadcastToUI({ type: 'contacts', contacts: contactList() })
+        }
+        if (cmd === 'remove_contact') {
+          if (!removeContact(args.pubKey)) { ws.send(JSON.stringify({ type: 'error', msg: 'Unknown contact' })); return }
+          broadcastToUI({ type: 'contacts', contacts: contactList() })
+        }
+
+        // ── Message requests from unknown senders ──
+        if (cmd === 'accept_request') acceptRequest(args.pubKey, args.encPubKey, args.label)
+        if (cmd === 'reject_request') {
+          if (!rejectRequest(args.pubKey)) { ws.send(JSON.stringify({ type: 'error', msg: 'No message request from that key' })); return }
+        }
+
+        // ── Block list and allow-only mode ──
+        if (cmd === 'block') blockPeer(args.pubKey)
+        if (cmd === 'unblock') {
+          if (!unblockPeer(args.pubKey)) { ws.send(JSON.stringify({ type: 'error', msg: 'That key is not blocked' })); return }
+        }
+        if (cmd === 'allow_only') setAllowOnly(args.enabled !== false)
+
+        // ── Global discovery topic: true/false, or null for automatic ──
+        if (cmd === 'discovery') setDiscovery(args.enabled === null ? null : args.enabled !== false)
+
+        // ── Mailbox holding our notes while we are offline (null clears it) ──
+        if (cmd === 'set_mailbox') setMailbox(args.pubKey)
+
+        // ── Safety number for a contact ──
+        if (cmd === 'safety_number') {
+          const sn = safetyNumber(args.pubKey)
+          if (!sn) { ws.send(JSON.stringify({ type: 'error', msg: 'Unknown contact' })); return }
+          ws.send(JSON.stringify({ type: 'safety_number', ...sn }))
+        }
+
+        // ── Mark a contact verified (or not) after comparing safety numbers ──
+        if (cmd === 'verify') {
+          if (!setVerified(args.pubKey, args.verified !== false)) { ws.send(JSON.stringify({ type: 'error', msg: 'Unknown contact' })); return }
+          broadcastToUI({ type: 'contacts', contacts: contactList() })
+        }
+
+        // ── Accept a changed encryption key ──
+        if (cmd === 'trust_key') {
+          if (!trustKey(args.pubKey)) { ws.send(JSON.stringify({ type: 'error', msg: 'No pending key change for that contact' })); return }
+          broadcastToUI({ type: 'contacts', contacts: contactList() })
+        }
+
         // ── Mark read ──
         if (cmd === 'read') {
-          const note = inbox.find(n => n.id === args.id)
-          if (note) note.read = true
+          markRead(args.id)
+        }
+
+        // ── Per-contact read receipts ──
+        if (cmd === 'set_receipts') {
+          if (!setReadReceipts(args.pubKey, args.enabled !== false)) { ws.send(JSON.stringify({ type: 'error', msg: 'Unknown contact' })); return }
+          broadcastToUI({ type: 'contacts', contacts: contactList() })
         }
+
+        // ── Delete a note (inbox or sent) from memory and disk ──
+        if (cmd === 'delete_note') {
+          if (!deleteNote(args.id)) { ws.send(JSON.stringify({ type: 'error', msg: 'Unknown note' })); return }
+          broadcastToUI({ type: 'inbox', notes: inbox.map(withNames) })
+          broadcastToUI({ type: 'sent', notes: sent.map(withNames) })
+        }
+
+        // ── Rewrite the store without superseded records ──
+        if (cmd === 'compact') compactStore()
       } catch (e) {
         console.warn('[ws] error:', e.message)
+        ws.send(JSON.stringify({ type: 'error', msg: e.message }))
       }
     })
   })
@@ -296,35 +2412,206 @@ function startUI () {
 }
 
 // ─── CLI ──────────────────────────────────────────────────────────────────────
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }
+
+function parseDuration (text) {
+  const m = /^(\d+)([smhd])$/.exec(text || '')
+  return m ? Number(m[1]) * DURATION_UNITS[m[2]] : null
+}
+
 function startCLI () {
   const rl = readline.createInterface({ input: process.stdin, output: process.stdout })
-  console.log('\nTracWhisper CLI — commands: inbox, contacts, send <pubkey> <message>, whoami, exit\n')
-  rl.on('line', (line) => {
+  // Swallow echo while a passphrase is being typed
+  let muted = false
+  rl._writeToOutput = (s) => { if (!muted) rl.output.write(s) }
+  const ask = (prompt) => new Promise((resolve) => rl.question(prompt, resolve))
+  const askHidden = (prompt) => new Promise((resolve) => {
+    rl.question(prompt, (answer) => { muted = false; rl.output.write('\n'); resolve(answer) })
+    muted = true
+  })
+
+  console.log('\nTracWhisper CLI — commands: inbox, sent, delete <n>, contacts, send <pubkey[,pubkey…]> [--expires 1h] <message>, send-file <pubkey[,pubkey…]> <path> [message], save-file <n> <path>, edit <n> <text>, retract <n>, requests, accept <n> [encPubKey] [label], reject <n>, rename <pubkey> [name], remove <pubkey>, block <pubkey>, unblock <pubkey>, blocked, allow-only on|off, discovery on|off|auto, mailbox [pubkey|off], verify <pubkey>, unverify <pubkey>, trust <pubkey>, receipts <pubkey> on|off, groups, gsend <n> <message>, whoami, drops, compact, lock, unlock, exit\n')
+  rl.on('line', async (line) => {
     const parts = line.trim().split(' ')
     const cmd = parts[0]
-    if (cmd === 'whoami') {
+    if (cmd === 'unlock') {
+      if (!locked) { console.log('Already unlocked'); return }
+      let passphrase
+      if (identityStatus(STORE_PATH) === 'sealed') {
+        passphrase = await askHidden('Passphrase: ')
+      } else {
+        console.log('Choose a passphrase to protect identity.json')
+        passphrase = await askHidden('New passphrase: ')
+        if (passphrase !== await askHidden('Repeat passphrase: ')) { console.log('Passphrases do not match'); return }
+      }
+      try { await unlock(passphrase) } catch (e) { console.log(e.message) }
+    } else if (cmd === 'exit') {
+      process.exit(0)
+    } else if (locked) {
+      if (cmd) console.log('Identity locked — type `unlock` first')
+    } else if (cmd === 'lock') {
+      await lock()
+    } else if (cmd === 'whoami') {
       console.log('Sign pubkey:', b4a.toString(myKeyPair.publicKey, 'hex'))
       console.log('Enc  pubkey:', b4a.toString(myEncKey.publicKey, 'hex'))
+      if (swarm) console.log('Noise key  :', b4a.toString(swarm.keyPair.publicKey, 'hex'), '(transport, changes every unlock)')
     } else if (cmd === 'inbox') {
       if (!inbox.length) { console.log('Inbox empty'); return }
-      inbox.forEach((n, i) => console.log(`[${i}] from ${n.fromShort}: ${n.body}`))
+      inbox.forEach((n, i) => console.log(`[${i}] from ${contactName(n.from)}${pins.get(n.from)?.verified ? ' ✓' : ''}: ${n.retracted ? '⊘ retracted' : n.body}` +
+        (n.editedAt ? ` (edited ${n.history.length}×)` : '') +
+        (n.expiresAt ? ` ⏱ gone in ${Math.ceil((n.expiresAt - Date.now()) / 1000)}s` : '') +
+        (n.attachment ? ` 📎 ${n.attachment.name} (${n.attachment.size} bytes, ${n.attachment.state})` : '')))
+    } else if (cmd === 'delete') {
+      const note = inbox[Number(parts[1])]
+      if (!note) { console.log('Usage: delete <inbox index>'); return }
+      deleteNote(note.id)
+      broadcastToUI({ type: 'inbox', notes: inbox.map(withNames) })
+      console.log(`Deleted note from ${contactName(note.from)}`)
+    } else if (cmd === 'requests') {
+      if (!requests.size) { console.log('No message requests'); return }
+      requestList().forEach((r, i) => console.log(`[${i}] ${r.from} — ${r.count} note(s), last ${new Date(r.last).toLocaleString()}` +
+        (r.encPubKey ? '' : ' · enc key unknown, give it to `accept`')))
+    } else if (cmd === 'accept' || cmd === 'reject') {
+      const r = requestList()[Number(parts[1])]
+      if (!r) { console.log(`Usage: ${cmd === 'accept' ? 'accept <request index> [encPubKey] [label]' : 'reject <request index>'}`); return }
+      if (cmd === 'reject') {
+        rejectRequest(r.from)
+        console.log(`Rejected ${r.count} note(s) from ${r.fromShort}`)
+        return
+      }
+      try { acceptRequest(r.from, parts[2], parts.slice(3).join(' ')) } catch (e) { console.log('Accept failed:', e.message); return }
+      console.log(`Accepted — ${r.count} note(s) moved to the inbox`)
+    } else if (cmd === 'rename') {
+      if (!renameContact(parts[1], parts.slice(2).join(' '))) { console.log('Usage: rename <pubkey> [name] — contact not found'); return }
+      broadcastToUI({ type: 'contacts', contacts: contactList() })
+      console.log(`Now shown as ${contactName(parts[1])}`)
+    } else if (cmd === 'remove') {
+      if (!removeContact(parts[1])) { console.log('Contact not found'); return }
+      broadcastToUI({ type: 'contacts', contacts: contactList() })
+      console.log('Contact removed')
+    } else if (cmd === 'block') {
+      try { blockPeer(parts[1]) } catch (e) { console.log('Usage: block <pubkey> —', e.message); return }
+    } else if (cmd === 'unblock') {
+      if (!unblockPeer(parts[1])) { console.log('That key is not blocked'); return }
+      console.log('Unblocked')
+    } else if (cmd === 'blocked') {
+      console.log(`Allow-only mode: ${allowOnly ? 'on' : 'off'}`)
+      if (!blocked.size) { console.log('Nobody is blocked'); return }
+      blockList().forEach(b => console.log(`⛔ ${b.label} — ${b.pubKey} (since ${new Date(b.at).toLocaleString()})`))
+    } else if (cmd === 'allow-only') {
+      const on = parts[1] === 'on' ? true : parts[1] === 'off' ? false : null
+      if (on === null) { console.log('Usage: allow-only on|off'); return }
+      setAllowOnly(on)
+    } else if (cmd === 'discovery') {
+      const modes = { on: true, off: false, auto: null }
+      if (!Object.hasOwn(modes, parts[1] ?? '')) { console.log(`Discovery topic ${discoveryOn() ? 'on' : 'off'}${discovery === null ? ' (auto)' : ''} · ${pairTopics.size} contact topic(s) joined — usage: discovery on|off|auto`); return }
+      setDiscovery(modes[parts[1]])
+    } else if (cmd === 'mailbox') {
+      if (parts[1]) {
+        try { setMailbox(parts[1] === 'off' ? null : parts[1]) } catch (e) { console.log('Usage: mailbox <pubkey>|off —', e.message) }
+        return
+      }
+      const view = mailboxView()
+      console.log(view.pubKey
+        ? `Mailbox: ${view.label} — ${view.online ? 'connected' : 'offline'}${view.registered ? ', registered' : ''} · usage: mailbox <pubkey>|off`
+        : 'No mailbox: notes wait in their senders\' outboxes · usage: mailbox <pubkey>|off')
+      if (view.serving) console.log(`Serving as a mailbox: ${view.serving.users} user(s), ${view.serving.items} item(s), ${Math.ceil(view.serving.bytes / 1024)} KiB held`)
+    } else if (cmd === 'drops') {
+      console.log(`Dropped notes: ${drops.duplicate} replayed, ${drops.stale} outside the ts window · ${seen.size} ids remembered`)
+    } else if (cmd === 'receipts') {
+      const on = parts[2] === 'on' ? true : parts[2] === 'off' ? false : null
+      if (on === null) { console.log('Usage: receipts <pubkey> on|off'); return }
+      if (!setReadReceipts(parts[1], on)) { console.log('Contact not found'); return }
+      broadcastToUI({ type: 'contacts', contacts: contactList() })
+      console.log(`Read receipts ${on ? 'on' : 'off'} for ${contactName(parts[1])}`)
+    } else if (cmd === 'groups') {
+      if (!groups.size) { console.log('No groups yet'); return }
+      groupList().forEach((g, i) => console.log(`[${i}] ${g.name} — ${g.members.length} members, epoch ${g.epoch}${g.admin ? ' · admin' : ''}${g.active ? '' : ' · removed'}`))
+    } else if (cmd === 'gsend') {
+      const g = groupList()[Number(parts[1])]
+      if (!g) { console.log('Usage: gsend <group index> <message>'); return }
+      try { sendGroupNote(g.id, parts.slice(2).join(' ')) } catch (e) { console.log('Send failed:', e.message); return }
+      broadcastToUI({ type: 'sent', notes: sent.map(withNames) })
+      console.log(`Sent to ${g.name} (encrypted).`)
+    } else if (cmd === 'compact') {
+      compactStore()
     } else if (cmd === 'contacts') {
-      contacts.forEach((c, pk) => console.log(`${c.label} — ${pk.slice(0, 32)}…`))
+      contacts.forEach((c, pk) => {
+        const links = [...(identities.get(pk) || [])].map(k => k.slice(0, 12) + '…')
+        const verified = !c.keyChanged && pins.get(pk)?.verified ? '✓ ' : ''
+        console.log(`${blocked.has(pk) ? '⛔ ' : ''}${c.keyChanged ? '⚠️  KEY CHANGED ' : ''}${verified}${contactName(pk)}${c.petname && c.suggested ? ` (calls itself ${c.suggested})` : ''} — ${pk.slice(0, 32)}… ${links.length ? 'online via ' + links.join(', ') : 'offline'}` +
+          (allowOnly && !c.allowed ? ' · not added, notes wait as requests' : ''))
+        const caps = peerCaps(pk)
+        console.log(`    ${caps ? (c.v ? `v${c.v} · ` : '') + caps.join(' ') : 'capabilities unknown'}`)
+      })
+    } else if (cmd === 'verify') {
+      const sn = safetyNumber(parts[1])
+      if (!sn) { console.log('Contact not found'); return }
+      const blocks = sn.numeric.split(' ')
+      console.log(`\nSafety number with ${sn.label}${sn.pending ? ' (⚠️  NEW KEY, not yet trusted)' : ''}:\n`)
+      for (let i = 0; i < blocks.length; i += 4) console.log('    ' + blocks.slice(i, i + 4).join('  '))
+      console.log(`\n    ${sn.words}\n`)
+      console.log('Compare with what their screen shows, in person or on a call.')
+      if (sn.verified) { console.log('✓ Already verified.'); return }
+      const answer = await ask('Do they match? Mark as verified [y/N]: ')
+      if (answer.trim().toLowerCase() === 'y') {
+        setVerified(parts[1], true)
+        broadcastToUI({ type: 'contacts', contacts: contactList() })
+      }
+    } else if (cmd === 'unverify') {
+      if (!setVerified(parts[1], false)) { console.log('Contact not found'); return }
+      broadcastToUI({ type: 'contacts', contacts: contactList() })
+    } else if (cmd === 'trust') {
+      if (!trustKey(parts[1])) { console.log('No pending key change for that contact'); return }
+      broadcastToUI({ type: 'contacts', contacts: contactList() })
     } else if (cmd === 'send') {
-      const toPubKey = parts[1]
+      const toPubKeys = (parts[1] || '').split(',').filter(Boolean)
+      let expiresIn
+      if (parts[2] === '--expires') {
+        expiresIn = parseDuration(parts[3])
+        if (!expiresIn) { console.log('Usage: send <pubkey[,pubkey…]> [--expires 30s|10m|2h|7d] <message>'); return }
+        parts.splice(2, 2)
+      }
       const body = parts.slice(2).join(' ')
-      const contact = contacts.get(toPubKey)
-      if (!contact) { console.log('Contact not found'); return }
-      const payload = encryptMessage(body, b4a.from(contact.encPubKey, 'hex'))
-      const id = randomBytes(8).toString('hex')
-      const ts = Date.now()
-      const from = b4a.toString(myKeyPair.publicKey, 'hex')
-      const unsigned = { payload, from, to: toPubKey, ts, id }
-      const sig = signMsg(unsigned)
-      sendToPeer(toPubKey, { type: 'note', ...unsigned, sig })
-      console.log('Sent (encrypted).')
-    } else if (cmd === 'exit') {
-      process.exit(0)
+      for (const pk of toPubKeys) {
+        const contact = contacts.get(pk)
+        if (!contact) { console.log(`Contact not found: ${pk}`); return }
+        if (contact.keyChanged) { console.log(`⚠️  ${contactName(pk)}'s encryption key changed — verify, then \`trust ${pk}\``); return }
+      }
+      let record
+      try { record = sendNote(toPubKeys, body, { expiresIn }) } catch (e) { console.log('Send failed:', e.message); return }
+      broadcastToUI({ type: 'sent', notes: sent.map(withNames) })
+      const waiting = record.recipients
+        ? Object.keys(record.recipients).filter(pk => record.recipients[pk] === 'queued').map(pk => contactName(pk))
+        : record.status === 'queued' ? [contactName(record.to)] : []
+      console.log(waiting.length ? `Encrypted — queued for ${waiting.join(', ')} until they come online.` : 'Sent (encrypted).')
+    } else if (cmd === 'edit' || cmd === 'retract') {
+      const note = sent[Number(parts[1])]
+      if (!note || (cmd === 'edit' && !parts[2])) { console.log(`Usage: ${cmd === 'edit' ? 'edit <sent index> <new text>' : 'retract <sent index>'}`); return }
+      try { updateSent(note.id, cmd === 'edit' ? parts.slice(2).join(' ') : null) } catch (e) { console.log(`${cmd === 'edit' ? 'Edit' : 'Retract'} failed:`, e.message); return }
+      console.log(cmd === 'edit' ? 'Edited.' : 'Retracted.')
+    } else if (cmd === 'send-file') {
+      const toPubKeys = (parts[1] || '').split(',').filter(Boolean)
+      const file = parts[2]
+      if (!toPubKeys.length || !file) { console.log('Usage: send-file <pubkey[,pubkey…]> <path> [message]'); return }
+      let record
+      try {
+        record = sendFile(toPubKeys, fs.readFileSync(file), path.basename(file), null, parts.slice(3).join(' '))
+      } catch (e) { console.log('Send failed:', e.message); return }
+      broadcastToUI({ type: 'sent', notes: sent.map(withNames) })
+      console.log(`Encrypted ${record.attachment.name} (${record.attachment.chunks} chunks) — recipients fetch it when they are online.`)
+    } else if (cmd === 'save-file') {
+      const note = inbox[Number(parts[1])]
+      if (!note?.attachment || !parts[2]) { console.log('Usage: save-file <inbox index> <path>'); return }
+      if (note.attachment.state !== 'done') { console.log(`${note.attachment.name} is ${note.attachment.state}`); return }
+      try { fs.writeFileSync(parts[2], readFile(note.attachment)) } catch (e) { console.log('Save failed:', e.message); return }
+      console.log(`Saved ${note.attachment.name} to ${parts[2]}`)
+    } else if (cmd === 'sent') {
+      if (!sent.length) { console.log('Nothing sent yet'); return }
+      sent.forEach((n, i) => {
+        console.log(`[${i}] ${n.status || 'sent'} → ${recipientName(n.to)}: ${n.retracted ? '⊘ retracted' : n.body}${n.editedAt ? ' (edited)' : ''}`)
+        if (n.recipients) for (const [pk, st] of Object.entries(n.recipients)) console.log(`      ${st} · ${contactName(pk)}`)
+      })
     }
   })
 }
@@ -355,6 +2642,7 @@ header{position:relative;z-index:10;border-bottom:1px solid var(--border);paddin
 .logo sub{font-family:var(--mono);font-size:0.55rem;color:var(--muted);letter-spacing:0.15em;text-transform:uppercase;vertical-align:middle;margin-left:8px}
 .hbadge{font-size:0.6rem;border:1px solid rgba(201,168,76,0.3);color:var(--gold);padding:2px 8px;border-radius:2px;letter-spacing:0.15em;text-transform:uppercase}
 .hright{margin-left:auto;display:flex;align-items:center;gap:14px;font-size:0.68rem;color:var(--muted)}
+.drops{color:var(--red)}
 .pulse{width:6px;height:6px;border-radius:50%;background:var(--green);box-shadow:0 0 8px var(--green);animation:pulse 2s ease-in-out infinite}
 @keyframes pulse{0%,100%{opacity:1;transform:scale(1)}50%{opacity:0.5;transform:scale(0.8)}}
 
@@ -375,6 +2663,24 @@ header{position:relative;z-index:10;border-bottom:1px solid var(--border);paddin
 .contact-label{font-size:0.78rem;color:var(--ink);margin-bottom:3px;display:flex;align-items:center;gap:6px}
 .contact-key{font-size:0.6rem;color:var(--muted);word-break:break-all;line-height:1.4}
 .unread-dot{width:6px;height:6px;border-radius:50%;background:var(--gold);flex-shrink:0}
+.contact-noise{font-size:.56rem;color:var(--muted2);word-break:break-all;line-height:1.4;margin-top:3px}
+.contact-noise a{color:var(--muted);text-decoration:none}
+.contact-noise a:hover{color:var(--gold)}
+.online-dot{width:6px;height:6px;border-radius:50%;background:var(--green);box-shadow:0 0 6px var(--green);flex-shrink:0}
+.offline-dot{width:6px;height:6px;border-radius:50%;border:1px solid var(--muted2);flex-shrink:0}
+.contact-item.changed{border-color:var(--red);background:rgba(192,57,43,0.06)}
+.key-warn{font-size:.6rem;color:var(--red);margin-top:6px;display:flex;align-items:center;justify-content:space-between;gap:6px}
+.verified-mark{color:var(--green)}
+.status{font-size:.58rem;letter-spacing:.05em;color:var(--muted)}
+.status.queued,.status.stored{color:var(--gold2)}
+.status.delivered{color:var(--ink)}
+.status.read{color:var(--green)}
+.status.failed{color:var(--red)}
+.status.retracted{color:var(--muted2)}
+.safety-num{display:grid;grid-template-columns:repeat(4,max-content);gap:8px 20px;font-size:1rem;color:var(--gold);letter-spacing:.08em;margin:20px 0 14px}
+.safety-words{font-size:.8rem;color:var(--ink);line-height:1.8;margin-bottom:14px}
+.safety-hint{font-size:.68rem;color:var(--muted);line-height:1.6;margin-bottom:18px}
+.key-alert{padding:10px 32px;background:rgba(192,57,43,0.12);border-bottom:1px solid var(--red);color:var(--red);font-size:.7rem;line-height:1.5}
 
 .note-item{padding:12px;border:1px solid var(--border);border-radius:4px;margin-bottom:8px;cursor:pointer;transition:all .2s;animation:fadein .3s ease}
 @keyframes fadein{from{opacity:0;transform:translateY(6px)}to{opacity:1;transform:translateY(0)}}
@@ -392,9 +2698,11 @@ header{position:relative;z-index:10;border-bottom:1px solid var(--border);paddin
 
 .field-label{font-size:0.62rem;letter-spacing:0.15em;text-transform:uppercase;color:var(--muted);margin-bottom:6px}
 .field-wrap{margin-bottom:18px}
-select,input[type=text],textarea{width:100%;background:var(--sepia);border:1px solid var(--border);color:var(--ink);border-radius:3px;padding:10px 14px;font-family:var(--mono);font-size:0.82rem;outline:none;transition:border-color .2s}
-select:focus,input[type=text]:focus,textarea:focus{border-color:var(--gold2)}
+select,input[type=text],input[type=password],textarea{width:100%;background:var(--sepia);border:1px solid var(--border);color:var(--ink);border-radius:3px;padding:10px 14px;font-family:var(--mono);font-size:0.82rem;outline:none;transition:border-color .2s}
+select:focus,input[type=text]:focus,input[type=password]:focus,textarea:focus{border-color:var(--gold2)}
 select option{background:var(--sepia)}
+select[multiple]{min-height:96px;padding:6px 8px}
+select[multiple] option{padding:3px 6px}
 textarea{min-height:140px;resize:vertical;line-height:1.6}
 textarea::placeholder{color:var(--muted2)}
 
@@ -424,469 +2732,730 @@ textarea::placeholder{color:var(--muted2)}
 .tab.active{color:var(--gold);border-bottom-color:var(--gold)}
 
 .toast{position:fixed;bottom:24px;left:50%;transform:translateX(-50%);background:var(--sepia2);border:1px solid var(--gold2);color:var(--gold);padding:10px 20px;border-radius:4px;font-size:.75rem;z-index:999;animation:toastin .3s ease;display:none}
-@keyframes toastin{from{opacity:0;transfo      const splitAt = idx >= 0 ? idx : alt;
-      if (splitAt <= 0) return null;
-      const key = entry.slice(0, splitAt).trim();
-      const value = entry.slice(splitAt + 1).trim();
-      if (!key || !value) return null;
-      return [key, value];
-    })
-    .filter(Boolean);
-};
-
-const parseCsvList = (raw) => {
-  if (!raw) return null;
-  return String(raw)
-    .split(',')
-    .map((value) => value.trim())
-    .filter((value) => value.length > 0);
-};
-
-const parseWelcomeValue = (raw) => {
-  if (!raw) return null;
-  let text = String(raw || '').trim();
-  if (!text) return null;
-  if (text.startsWith('@')) {
-    try {
-      const filePath = path.resolve(text.slice(1));
-      text = String(fs.readFileSync(filePath, 'utf8') || '').trim();
-      if (!text) return null;
-    } catch (_e) {
-      return null;
-    }
-  }
-  if (text.startsWith('b64:')) text = text.slice(4);
-  if (text.startsWith('{')) {
-    try {
-      return JSON.parse(text);
-    } catch (_e) {
-      return null;
-    }
-  }
-  try {
-    const decoded = b4a.toString(b4a.from(text, 'base64'));
-    return JSON.parse(decoded);
-  } catch (_e) {}
-  return null;
-};
-
-const sidechannelDebugRaw =
-  (flags['sidechannel-debug'] && String(flags['sidechannel-debug'])) ||
-  env.SIDECHANNEL_DEBUG ||
-  '';
-const sidechannelDebug = parseBool(sidechannelDebugRaw, false);
-const sidechannelQuietRaw =
-  (flags['sidechannel-quiet'] && String(flags['sidechannel-quiet'])) ||
-  env.SIDECHANNEL_QUIET ||
-  '';
-const sidechannelQuiet = parseBool(sidechannelQuietRaw, false);
-const sidechannelMaxBytesRaw =
-  (flags['sidechannel-max-bytes'] && String(flags['sidechannel-max-bytes'])) ||
-  env.SIDECHANNEL_MAX_BYTES ||
-  '';
-const sidechannelMaxBytes = Number.parseInt(sidechannelMaxBytesRaw, 10);
-const sidechannelAllowRemoteOpenRaw =
-  (flags['sidechannel-allow-remote-open'] && String(flags['sidechannel-allow-remote-open'])) ||
-  env.SIDECHANNEL_ALLOW_REMOTE_OPEN ||
-  '';
-const sidechannelAllowRemoteOpen = parseBool(sidechannelAllowRemoteOpenRaw, true);
-const sidechannelAutoJoinRaw =
-  (flags['sidechannel-auto-join'] && String(flags['sidechannel-auto-join'])) ||
-  env.SIDECHANNEL_AUTO_JOIN ||
-  '';
-const sidechannelAutoJoin = parseBool(sidechannelAutoJoinRaw, false);
-const sidechannelPowRaw =
-  (flags['sidechannel-pow'] && String(flags['sidechannel-pow'])) ||
-  env.SIDECHANNEL_POW ||
-  '';
-const sidechannelPowEnabled = parseBool(sidechannelPowRaw, true);
-const sidechannelPowDifficultyRaw =
-  (flags['sidechannel-pow-difficulty'] && String(flags['sidechannel-pow-difficulty'])) ||
-  env.SIDECHANNEL_POW_DIFFICULTY ||
-  '12';
-const sidechannelPowDifficulty = Number.parseInt(sidechannelPowDifficultyRaw, 10);
-const sidechannelPowEntryRaw =
-  (flags['sidechannel-pow-entry'] && String(flags['sidechannel-pow-entry'])) ||
-  env.SIDECHANNEL_POW_ENTRY ||
-  '';
-const sidechannelPowRequireEntry = parseBool(sidechannelPowEntryRaw, false);
-const sidechannelPowChannelsRaw =
-  (flags['sidechannel-pow-channels'] && String(flags['sidechannel-pow-channels'])) ||
-  env.SIDECHANNEL_POW_CHANNELS ||
-  '';
-const sidechannelPowChannels = sidechannelPowChannelsRaw
-  ? sidechannelPowChannelsRaw
-      .split(',')
-      .map((value) => value.trim())
-      .filter((value) => value.length > 0)
-  : null;
-const sidechannelInviteRequiredRaw =
-  (flags['sidechannel-invite-required'] && String(flags['sidechannel-invite-required'])) ||
-  env.SIDECHANNEL_INVITE_REQUIRED ||
-  '';
-const sidechannelInviteRequired = parseBool(sidechannelInviteRequiredRaw, false);
-const sidechannelInviteChannelsRaw =
-  (flags['sidechannel-invite-channels'] && String(flags['sidechannel-invite-channels'])) ||
-  env.SIDECHANNEL_INVITE_CHANNELS ||
-  '';
-const sidechannelInviteChannels = sidechannelInviteChannelsRaw
-  ? sidechannelInviteChannelsRaw
-      .split(',')
-      .map((value) => value.trim())
-      .filter((value) => value.length > 0)
-  : null;
-const sidechannelInvitePrefixesRaw =
-  (flags['sidechannel-invite-prefixes'] && String(flags['sidechannel-invite-prefixes'])) ||
-  env.SIDECHANNEL_INVITE_PREFIXES ||
-  '';
-const sidechannelInvitePrefixes = sidechannelInvitePrefixesRaw
-  ? sidechannelInvitePrefixesRaw
-      .split(',')
-      .map((value) => value.trim())
-      .filter((value) => value.length > 0)
-  : null;
-const sidechannelInviterKeysRaw =
-  (flags['sidechannel-inviter-keys'] && String(flags['sidechannel-inviter-keys'])) ||
-  env.SIDECHANNEL_INVITER_KEYS ||
-  '';
-const sidechannelInviterKeys = sidechannelInviterKeysRaw
-  ? sidechannelInviterKeysRaw
-      .split(',')
-      .map((value) => value.trim())
-      .filter((value) => value.length > 0)
-  : [];
-const sidechannelInviteTtlRaw =
-  (flags['sidechannel-invite-ttl'] && String(flags['sidechannel-invite-ttl'])) ||
-  env.SIDECHANNEL_INVITE_TTL ||
-  '604800';
-const sidechannelInviteTtlSec = Number.parseInt(sidechannelInviteTtlRaw, 10);
-const sidechannelInviteTtlMs = Number.isFinite(sidechannelInviteTtlSec)
-  ? Math.max(sidechannelInviteTtlSec, 0) * 1000
-  : 0;
-const sidechannelOwnerRaw =
-  (flags['sidechannel-owner'] && String(flags['sidechannel-owner'])) ||
-  env.SIDECHANNEL_OWNER ||
-  '';
-const sidechannelOwnerEntries = parseKeyValueList(sidechannelOwnerRaw);
-const sidechannelOwnerMap = new Map();
-for (const [channel, key] of sidechannelOwnerEntries) {
-  const normalizedKey = key.trim().toLowerCase();
-  if (channel && normalizedKey) sidechannelOwnerMap.set(channel.trim(), normalizedKey);
-}
-const sidechannelOwnerWriteOnlyRaw =
-  (flags['sidechannel-owner-write-only'] && String(flags['sidechannel-owner-write-only'])) ||
-  env.SIDECHANNEL_OWNER_WRITE_ONLY ||
-  '';
-const sidechannelOwnerWriteOnly = parseBool(sidechannelOwnerWriteOnlyRaw, false);
-const sidechannelOwnerWriteChannelsRaw =
-  (flags['sidechannel-owner-write-channels'] && String(flags['sidechannel-owner-write-channels'])) ||
-  env.SIDECHANNEL_OWNER_WRITE_CHANNELS ||
-  '';
-const sidechannelOwnerWriteChannels = sidechannelOwnerWriteChannelsRaw
-  ? sidechannelOwnerWriteChannelsRaw
-      .split(',')
-      .map((value) => value.trim())
-      .filter((value) => value.length > 0)
-  : null;
-const sidechannelWelcomeRaw =
-  (flags['sidechannel-welcome'] && String(flags['sidechannel-welcome'])) ||
-  env.SIDECHANNEL_WELCOME ||
-  '';
-const sidechannelWelcomeEntries = parseKeyValueList(sidechannelWelcomeRaw);
-const sidechannelWelcomeMap = new Map();
-for (const [channel, value] of sidechannelWelcomeEntries) {
-  const welcome = parseWelcomeValue(value);
-  if (channel && welcome) sidechannelWelcomeMap.set(channel.trim(), welcome);
-}
-const sidechannelWelcomeRequiredRaw =
-  (flags['sidechannel-welcome-required'] && String(flags['sidechannel-welcome-required'])) ||
-  env.SIDECHANNEL_WELCOME_REQUIRED ||
-  '';
-const sidechannelWelcomeRequired = parseBool(sidechannelWelcomeRequiredRaw, true);
-
-const sidechannelEntry = '0000intercom';
-const sidechannelExtras = sidechannelsRaw
-  .split(',')
-  .map((value) => value.trim())
-  .filter((value) => value.length > 0 && value !== sidechannelEntry);
-
-if (sidechannelWelcomeRequired && !sidechannelOwnerMap.has(sidechannelEntry)) {
-  console.warn(
-    `[sidechannel] welcome required for non-entry channels; entry "${sidechannelEntry}" is open and does not require owner/welcome.`
-  );
-}
-
-const subnetBootstrapHex =
-  (flags['subnet-bootstrap'] && String(flags['subnet-bootstrap'])) ||
-  env.SUBNET_BOOTSTRAP ||
-  null;
-
-const scBridgeEnabledRaw =
-  (flags['sc-bridge'] && String(flags['sc-bridge'])) ||
-  env.SC_BRIDGE ||
-  '';
-const scBridgeEnabled = parseBool(scBridgeEnabledRaw, false);
-const scBridgeHost =
-  (flags['sc-bridge-host'] && String(flags['sc-bridge-host'])) ||
-  env.SC_BRIDGE_HOST ||
-  '127.0.0.1';
-const scBridgePortRaw =
-  (flags['sc-bridge-port'] && String(flags['sc-bridge-port'])) ||
-  env.SC_BRIDGE_PORT ||
-  '';
-const scBridgePort = Number.parseInt(scBridgePortRaw, 10);
-const scBridgeFilter =
-  (flags['sc-bridge-filter'] && String(flags['sc-bridge-filter'])) ||
-  env.SC_BRIDGE_FILTER ||
-  '';
-const scBridgeFilterChannelRaw =
-  (flags['sc-bridge-filter-channel'] && String(flags['sc-bridge-filter-channel'])) ||
-  env.SC_BRIDGE_FILTER_CHANNEL ||
-  '';
-const scBridgeFilterChannels = scBridgeFilterChannelRaw
-  ? scBridgeFilterChannelRaw
-      .split(',')
-      .map((value) => value.trim())
-      .filter((value) => value.length > 0)
-  : null;
-const scBridgeToken =
-  (flags['sc-bridge-token'] && String(flags['sc-bridge-token'])) ||
-  env.SC_BRIDGE_TOKEN ||
-  '';
-const scBridgeCliRaw =
-  (flags['sc-bridge-cli'] && String(flags['sc-bridge-cli'])) ||
-  env.SC_BRIDGE_CLI ||
-  '';
-const scBridgeCliEnabled = parseBool(scBridgeCliRaw, false);
-const scBridgeDebugRaw =
-  (flags['sc-bridge-debug'] && String(flags['sc-bridge-debug'])) ||
-  env.SC_BRIDGE_DEBUG ||
-  '';
-const scBridgeDebug = parseBool(scBridgeDebugRaw, false);
-
-// Optional: override DHT bootstrap nodes (host:port list) for faster local tests.
-// Note: this affects all Hyperswarm joins (subnet replication + sidechannels).
-const peerDhtBootstrapRaw =
-  (flags['peer-dht-bootstrap'] && String(flags['peer-dht-bootstrap'])) ||
-  (flags['dht-bootstrap'] && String(flags['dht-bootstrap'])) ||
-  env.PEER_DHT_BOOTSTRAP ||
-  env.DHT_BOOTSTRAP ||
-  '';
-const peerDhtBootstrap = parseCsvList(peerDhtBootstrapRaw);
-const msbDhtBootstrapRaw =
-  (flags['msb-dht-bootstrap'] && String(flags['msb-dht-bootstrap'])) ||
-  env.MSB_DHT_BOOTSTRAP ||
-  '';
-const msbDhtBootstrap = parseCsvList(msbDhtBootstrapRaw);
-
-if (scBridgeEnabled && !scBridgeToken) {
-  throw new Error('SC-Bridge requires --sc-bridge-token (auth is mandatory).');
-}
-
-const readHexFile = (filePath, byteLength) => {
-  try {
-    if (fs.existsSync(filePath)) {
-      const hex = fs.readFileSync(filePath, 'utf8').trim().toLowerCase();
-      if (/^[0-9a-f]+$/.test(hex) && hex.length === byteLength * 2) return hex;
-    }
-  } catch (_e) {}
-  return null;
-};
+@keyframes toastin{from{opacity:0;transform:translateX(-50%) translateY(8px)}to{opacity:1;transform:translateX(-50%) translateY(0)}}
+.toast.err{border-color:var(--red);color:var(--red)}
+
+.add-contact{border-top:1px solid var(--border);padding:12px}
+.sb-content.groups{flex:0 1 auto;max-height:30%}
+.sb-content.requests{flex:0 1 auto;max-height:30%;border-bottom:1px solid var(--border)}
+.contact-item.request{border-color:var(--border2);cursor:default}
+.contact-item.blocked{opacity:.5}
+.suggested{font-style:italic;color:var(--muted)}
+.allow-only{display:flex;align-items:center;gap:8px;margin-top:10px;font-size:.62rem;color:var(--muted);cursor:pointer}
+.blocked-list{margin-top:8px;font-size:.62rem;color:var(--muted)}
+.blocked-list summary{cursor:pointer}
+.blocked-item{display:flex;align-items:center;gap:8px;margin-top:6px;word-break:break-all}
+.mailbox-box{margin-top:10px}
+.mailbox-state{margin-top:6px;font-size:.62rem;color:var(--muted);word-break:break-all}
+.contact-item.request input[type=text]{padding:6px 10px;font-size:.62rem;margin-top:6px}
+.thread{margin:16px 0}
+.thread-msg{padding:10px 12px;border:1px solid var(--border);border-radius:4px;margin-bottom:8px}
+.thread-msg.mine{border-color:rgba(201,168,76,0.3);margin-left:48px}
+.group-add{display:flex;gap:8px;margin-bottom:12px}
+.group-add select{padding:6px 10px;font-size:.7rem}
+input[type=file]{font-family:var(--mono);font-size:.7rem;color:var(--muted)}
+.attachment{display:flex;align-items:center;justify-content:space-between;gap:12px;border:1px solid var(--border);border-radius:4px;padding:10px 14px;margin-bottom:16px;font-size:.72rem}
+.attachment a{text-decoration:none}
+.countdown{color:var(--gold2)}
+.note-body.retracted{color:var(--muted2);font-style:italic}
+.history{margin-top:14px;font-size:.7rem;color:var(--muted)}
+.history summary{cursor:pointer}
+.history-item{border-left:2px solid var(--border2);padding:4px 10px;margin-top:8px;white-space:pre-wrap}
+.note-actions{display:flex;gap:8px;margin-top:18px}
+.add-contact input[type=text]{padding:7px 10px;font-size:.68rem;margin-bottom:6px}
+.btn-ghost{width:100%;background:transparent;border:1px solid var(--border2);color:var(--muted);border-radius:3px;padding:7px;font-family:var(--mono);font-size:.65rem;letter-spacing:.1em;text-transform:uppercase;cursor:pointer;transition:all .2s}
+.btn-ghost:hover{border-color:var(--gold2);color:var(--gold)}
+.empty-list{font-size:.65rem;color:var(--muted2);padding:8px 4px;line-height:1.6}
+.hidden{display:none !important}
+.hbtn{width:auto;padding:4px 10px}
+
+.lock-screen{position:fixed;inset:0;z-index:500;background:var(--paper);display:flex;align-items:center;justify-content:center}
+.lock-box{width:360px;border:1px solid var(--border);background:var(--sepia);padding:32px;border-radius:4px;text-align:center}
+.lock-box .seal{font-size:2.4rem;margin-bottom:12px}
+.lock-box h2{font-family:var(--serif);font-size:1.2rem;color:var(--gold);margin-bottom:8px}
+.lock-box p{font-size:.68rem;color:var(--muted);line-height:1.6;margin-bottom:18px}
+.lock-box input{margin-bottom:10px}
+</style>
+</head>
+<body>
+<header>
+  <div class="logo">TracWhisper<sub>P2P encrypted notes</sub></div>
+  <div class="hbadge">E2E · Intercom</div>
+  <div class="hright"><div class="pulse"></div><span id="peerCount">0 peers</span><span id="dropCount" class="drops hidden" title="Replayed or out-of-window notes that were refused"></span><button class="btn-ghost hbtn" onclick="lockNow()">🔒 Lock</button></div>
+</header>
+
+<div class="lock-screen hidden" id="lockScreen">
+  <div class="lock-box">
+    <div class="seal">🔏</div>
+    <h2 id="lockTitle">Identity locked</h2>
+    <p id="lockHint">Enter your passphrase to decrypt your keys.</p>
+    <input type="password" id="lockPass" placeholder="passphrase" onkeydown="if(event.key==='Enter')submitUnlock()">
+    <input type="password" id="lockConfirm" class="hidden" placeholder="repeat passphrase" onkeydown="if(event.key==='Enter')submitUnlock()">
+    <button class="btn-send" onclick="submitUnlock()">Unlock</button>
+  </div>
+</div>
+
+<div class="layout">
+  <aside class="sidebar">
+    <div class="sb-header hidden" id="requestHeader">Message requests</div>
+    <div class="sb-content requests hidden" id="requestList"></div>
+    <div class="sb-header">Contacts</div>
+    <div class="sb-content" id="contactList"><div class="empty-list">Waiting for peers…</div></div>
+    <div class="add-contact">
+      <input type="text" id="acPub" placeholder="sign pubkey">
+      <input type="text" id="acEnc" placeholder="enc pubkey">
+      <input type="text" id="acLabel" placeholder="your name for them (optional)">
+      <button class="btn-ghost" onclick="addContact()">Add contact</button>
+      <label class="allow-only" title="Notes from anyone you did not add or accept wait as message requests"><input type="checkbox" id="allowOnly" onchange="setAllowOnly(this.checked)"> Only contacts I added can reach me</label>
+      <label class="allow-only" title="Off: only your contacts can find you, on topics private to each pair. Left on its own once you have contacts and no note waits for someone you have not met, unless you set it here"><input type="checkbox" id="discovery" onchange="setDiscovery(this.checked)"> Let new peers find me (global topic)</label>
+      <div class="mailbox-box" title="A peer run with --mailbox holds notes sealed for you while you are offline; it never sees what they say">
+        <input type="text" id="mailboxInput" placeholder="mailbox pubkey (optional)">
+        <button class="btn-ghost" onclick="setMailbox()">Set mailbox</button>
+        <div class="mailbox-state" id="mailboxState">No mailbox</div>
+      </div>
+      <details class="blocked-list hidden" id="blockedBox"><summary id="blockedSummary"></summary><div id="blockedList"></div></details>
+    </div>
+    <div class="sb-header">Groups</div>
+    <div class="sb-content groups" id="groupList"><div class="empty-list">No groups yet</div></div>
+    <div class="add-contact">
+      <input type="text" id="grName" placeholder="group name">
+      <button class="btn-ghost" onclick="createGroup()">New group with selected recipients</button>
+    </div>
+  </aside>
+
+  <section class="main">
+    <div class="key-alert hidden" id="keyAlert"></div>
+    <div class="tabs">
+      <div class="tab active" id="tabCompose" onclick="showTab('compose')">Compose</div>
+      <div class="tab" id="tabRead" onclick="showTab('read')">Read</div>
+    </div>
+
+    <div class="compose-area" id="composeView">
+      <h2>New note <span>encrypted before it leaves this device</span></h2>
+      <div class="field-wrap">
+        <div class="field-label">Recipients <span class="note-ts">ctrl/⌘-click to pick several</span></div>
+        <select id="toSelect" multiple></select>
+      </div>
+      <div class="field-wrap">
+        <div class="field-label">Message</div>
+        <textarea id="bodyInput" placeholder="Write something only they can read…"></textarea>
+      </div>
+      <div class="field-wrap">
+        <div class="field-label">Attachment <span class="note-ts">optional · up to 50 MiB</span></div>
+        <input type="file" id="fileInput">
+      </div>
+      <div class="field-wrap">
+        <div class="field-label">Disappears</div>
+        <select id="expiresSelect">
+          <option value="">never</option>
+          <option value="60000">after 1 minute</option>
+          <option value="3600000">after 1 hour</option>
+          <option value="86400000">after 1 day</option>
+          <option value="604800000">after 1 week</option>
+        </select>
+      </div>
+      <div class="encrypt-indicator"><span class="lock-icon">🔒</span>X25519 + HKDF → AES-256-GCM · signed Ed25519</div>
+      <button class="btn-send" onclick="sendNote()">Encrypt &amp; send</button>
+    </div>
+
+    <div class="note-viewer hidden" id="readView">
+      <div class="empty"><div class="seal">🔏</div>Select a note to decrypt and read it</div>
+    </div>
+
+    <div class="mykey-box">
+      <div class="mykey-label">Your sign pubkey</div>
+      <div class="mykey-val" id="mySignKey">…</div>
+      <div class="mykey-label" style="margin-top:8px">Your enc pubkey</div>
+      <div class="mykey-val" id="myEncKey">…</div>
+      <div class="mykey-label" style="margin-top:8px">Transport (noise) key — changes every unlock</div>
+      <div class="mykey-val" id="myNoiseKey">…</div>
+    </div>
+  </section>
+
+  <aside class="sidebar right">
+    <div class="tabs" style="padding:0 18px">
+      <div class="tab active" id="tabInbox" onclick="showList('inbox')">Inbox</div>
+      <div class="tab" id="tabSent" onclick="showList('sent')">Sent</div>
+    </div>
+    <div class="sb-content" id="noteList"><div class="empty-list">No notes yet</div></div>
+  </aside>
+</div>
+
+<div class="toast" id="toast"></div>
+
+<script>
+var ws, me = {}, contacts = [], inbox = [], sent = [], listMode = 'inbox', lockSetup = false
+var groups = [], openGroupId = null, shownNoteId = null, shownMode = null, requests = [], blocked = []
+
+function esc (s) {
+  return String(s == null ? '' : s).replace(/[&<>"']/g, function (c) {
+    return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+  })
+}
+function short (k) { return k ? k.slice(0, 16) + '…' : '' }
+function fmtTs (ts) { return new Date(ts).toLocaleString() }
+
+function toast (msg, err) {
+  var t = document.getElementById('toast')
+  t.textContent = msg
+  t.className = 'toast' + (err ? ' err' : '')
+  t.style.display = 'block'
+  clearTimeout(toast.timer)
+  toast.timer = setTimeout(function () { t.style.display = 'none' }, 3000)
+}
 
-const subnetBootstrapFile = path.join(
-  peerStoresDirectory,
-  peerStoreNameRaw,
-  'subnet-bootstrap.hex'
-);
+function showTab (name) {
+  document.getElementById('tabCompose').classList.toggle('active', name === 'compose')
+  document.getElementById('tabRead').classList.toggle('active', name === 'read')
+  document.getElementById('composeView').classList.toggle('hidden', name !== 'compose')
+  document.getElementById('readView').classList.toggle('hidden', name !== 'read')
+}
 
-let subnetBootstrap = subnetBootstrapHex ? subnetBootstrapHex.trim().toLowerCase() : null;
-if (subnetBootstrap) {
-  if (!/^[0-9a-f]{64}$/.test(subnetBootstrap)) {
-    throw new Error('Invalid --subnet-bootstrap. Provide 32-byte hex (64 chars).');
-  }
-} else {
-  subnetBootstrap = readHexFile(subnetBootstrapFile, 32);
-}
-
-const msbConfig = createMsbConfig(MSB_ENV.MAINNET, {
-  storeName: msbStoreName,
-  storesDirectory: msbStoresDirectory,
-  enableInteractiveMode: false,
-  dhtBootstrap: msbDhtBootstrap || undefined,
-});
-
-const msbBootstrapHex = b4a.toString(msbConfig.bootstrap, 'hex');
-if (subnetBootstrap && subnetBootstrap === msbBootstrapHex) {
-  throw new Error('Subnet bootstrap cannot equal MSB bootstrap.');
-}
-
-const peerConfig = createPeerConfig(PEER_ENV.MAINNET, {
-  storesDirectory: peerStoresDirectory,
-  storeName: peerStoreNameRaw,
-  bootstrap: subnetBootstrap || null,
-  channel: subnetChannel,
-  enableInteractiveMode: true,
-  enableBackgroundTasks: true,
-  enableUpdater: true,
-  replicate: true,
-  dhtBootstrap: peerDhtBootstrap || undefined,
-});
-
-const ensureKeypairFile = async (keyPairPath) => {
-  if (fs.existsSync(keyPairPath)) return;
-  fs.mkdirSync(path.dirname(keyPairPath), { recursive: true });
-  await ensureTextCodecs();
-  const wallet = new PeerWallet();
-  await wallet.ready;
-  if (!wallet.secretKey) {
-    await wallet.generateKeyPair();
-  }
-  wallet.exportToFile(keyPairPath, b4a.alloc(0));
-};
-
-await ensureKeypairFile(msbConfig.keyPairPath);
-await ensureKeypairFile(peerConfig.keyPairPath);
-
-console.log('=============== STARTING MSB ===============');
-const msb = new MainSettlementBus(msbConfig);
-await msb.ready();
-
-console.log('=============== STARTING PEER ===============');
-const peer = new Peer({
-  config: peerConfig,
-  msb,
-  wallet: new Wallet(),
-  protocol: SampleProtocol,
-  contract: SampleContract,
-});
-await peer.ready();
-
-const effectiveSubnetBootstrapHex = peer.base?.key
-  ? peer.base.key.toString('hex')
-  : b4a.isBuffer(peer.config.bootstrap)
-      ? peer.config.bootstrap.toString('hex')
-      : String(peer.config.bootstrap ?? '').toLowerCase();
-
-if (!subnetBootstrap) {
-  fs.mkdirSync(path.dirname(subnetBootstrapFile), { recursive: true });
-  fs.writeFileSync(subnetBootstrapFile, `${effectiveSubnetBootstrapHex}\n`);
-}
-
-console.log('');
-console.log('====================INTERCOM ====================');
-const msbChannel = b4a.toString(msbConfig.channel, 'utf8');
-const msbStorePath = path.join(msbStoresDirectory, msbStoreName);
-const peerStorePath = path.join(peerStoresDirectory, peerStoreNameRaw);
-const peerWriterKey = peer.writerLocalKey ?? peer.base?.local?.key?.toString('hex') ?? null;
-console.log('MSB network bootstrap:', msbBootstrapHex);
-console.log('MSB channel:', msbChannel);
-console.log('MSB store:', msbStorePath);
-console.log('Peer store:', peerStorePath);
-if (Array.isArray(msbConfig?.dhtBootstrap) && msbConfig.dhtBootstrap.length > 0) {
-  console.log('MSB DHT bootstrap nodes:', msbConfig.dhtBootstrap.join(', '));
-}
-if (Array.isArray(peerConfig?.dhtBootstrap) && peerConfig.dhtBootstrap.length > 0) {
-  console.log('Peer DHT bootstrap nodes:', peerConfig.dhtBootstrap.join(', '));
-}
-console.log('Peer subnet bootstrap:', effectiveSubnetBootstrapHex);
-console.log('Peer subnet channel:', subnetChannel);
-console.log('Peer pubkey (hex):', peer.wallet.publicKey);
-console.log('Peer trac address (bech32m):', peer.wallet.address ?? null);
-console.log('Peer writer key (hex):', peerWriterKey);
-console.log('Sidechannel entry:', sidechannelEntry);
-if (sidechannelExtras.length > 0) {
-  console.log('Sidechannel extras:', sidechannelExtras.join(', '));
-}
-if (scBridgeEnabled) {
-  const portDisplay = Number.isSafeInteger(scBridgePort) ? scBridgePort : 49222;
-  console.log('SC-Bridge:', `ws://${scBridgeHost}:${portDisplay}`);
-}
-console.log('================================================================');
-console.log('');
-
-const admin = await peer.base.view.get('admin');
-if (admin && admin.value === peer.wallet.publicKey && peer.base.writable) {
-  const timer = new Timer(peer, { update_interval: 60_000 });
-  await peer.protocol.instance.addFeature('timer', timer);
-  timer.start().catch((err) => console.error('Timer feature stopped:', err?.message ?? err));
-}
-
-let scBridge = null;
-if (scBridgeEnabled) {
-  scBridge = new ScBridge(peer, {
-    host: scBridgeHost,
-    port: Number.isSafeInteger(scBridgePort) ? scBridgePort : 49222,
-    filter: scBridgeFilter,
-    filterChannels: scBridgeFilterChannels || undefined,
-    token: scBridgeToken,
-    debug: scBridgeDebug,
-    cliEnabled: scBridgeCliEnabled,
-    requireAuth: true,
-    info: {
-      msbBootstrap: msbBootstrapHex,
-      msbChannel,
-      msbStore: msbStorePath,
-      msbDhtBootstrap: Array.isArray(msbConfig?.dhtBootstrap) ? msbConfig.dhtBootstrap.slice() : null,
-      peerStore: peerStorePath,
-      peerDhtBootstrap: Array.isArray(peerConfig?.dhtBootstrap) ? peerConfig.dhtBootstrap.slice() : null,
-      subnetBootstrap: effectiveSubnetBootstrapHex,
-      subnetChannel,
-      peerPubkey: peer.wallet.publicKey,
-      peerTracAddress: peer.wallet.address ?? null,
-      peerWriterKey,
-      sidechannelEntry,
-      sidechannelExtras: sidechannelExtras.slice(),
-    },
-  });
-}
-
-const sidechannel = new Sidechannel(peer, {
-  channels: [sidechannelEntry, ...sidechannelExtras],
-  debug: sidechannelDebug,
-  maxMessageBytes: Number.isSafeInteger(sidechannelMaxBytes) ? sidechannelMaxBytes : undefined,
-  entryChannel: sidechannelEntry,
-  allowRemoteOpen: sidechannelAllowRemoteOpen,
-  autoJoinOnOpen: sidechannelAutoJoin,
-  powEnabled: sidechannelPowEnabled,
-  powDifficulty: Number.isInteger(sidechannelPowDifficulty) ? sidechannelPowDifficulty : undefined,
-  powRequireEntry: sidechannelPowRequireEntry,
-  powRequiredChannels: sidechannelPowChannels || undefined,
-  inviteRequired: sidechannelInviteRequired,
-  inviteRequiredChannels: sidechannelInviteChannels || undefined,
-  inviteRequiredPrefixes: sidechannelInvitePrefixes || undefined,
-  inviterKeys: sidechannelInviterKeys,
-  inviteTtlMs: sidechannelInviteTtlMs,
-  welcomeRequired: sidechannelWelcomeRequired,
-  ownerWriteOnly: sidechannelOwnerWriteOnly,
-  ownerWriteChannels: sidechannelOwnerWriteChannels || undefined,
-  ownerKeys: sidechannelOwnerMap.size > 0 ? sidechannelOwnerMap : undefined,
-  welcomeByChannel: sidechannelWelcomeMap.size > 0 ? sidechannelWelcomeMap : undefined,
-  onMessage: scBridgeEnabled
-    ? (channel, payload, connection) => scBridge.handleSidechannelMessage(channel, payload, connection)
-    : sidechannelQuiet
-      ? () => {}
-      : null,
-});
-peer.sidechannel = sidechannel;
-
-if (scBridge) {
-  scBridge.attachSidechannel(sidechannel);
-  try {
-    scBridge.start();
-  } catch (err) {
-    console.error('SC-Bridge failed to start:', err?.message ?? err);
+function showList (mode) {
+  listMode = mode
+  document.getElementById('tabInbox').classList.toggle('active', mode === 'inbox')
+  document.getElementById('tabSent').classList.toggle('active', mode === 'sent')
+  renderNotes()
+}
+
+function renderContacts () {
+  var el = document.getElementById('contactList')
+  var sel = document.getElementById('toSelect')
+  var current = selectedRecipients()
+  if (!contacts.length) el.innerHTML = '<div class="empty-list">Waiting for peers…</div>'
+  else el.innerHTML = contacts.map(function (c) {
+    var unread = inbox.some(function (n) { return n.from === c.pubKey && !n.read })
+    return '<div class="contact-item' + (current.indexOf(c.pubKey) >= 0 ? ' active' : '') + (c.keyChanged ? ' changed' : '') + (c.blocked ? ' blocked' : '') + '" onclick="pickContact(\\'' + esc(c.pubKey) + '\\')">' +
+      '<div class="contact-label"><span class="' + (c.online ? 'online-dot' : 'offline-dot') + '" title="' + (c.online ? 'online' : 'offline') + '"></span>' +
+      (unread ? '<span class="unread-dot"></span>' : '') + (c.blocked ? '⛔ ' : '') + (c.keyChanged ? '⚠ ' : '') + nameHtml(c) +
+      (c.verified ? ' <span class="verified-mark" title="Safety number verified">✓</span>' : '') +
+      '<button class="btn-ghost hbtn" style="margin-left:auto" onclick="event.stopPropagation();openVerify(\\'' + esc(c.pubKey) + '\\')">Verify</button></div>' +
+      '<div class="contact-key" title="Whisper identity (sign key)">id ' + esc(c.pubKey) + '</div>' +
+      (c.petname && c.suggested && c.suggested !== c.petname ? '<div class="contact-noise">calls itself <span class="suggested">' + esc(c.suggested) + '</span></div>' : '') +
+      c.noiseKeys.map(function (k) { return '<div class="contact-noise" title="Hyperswarm transport key">via ' + esc(k) + '</div>' }).join('') +
+      '<div class="contact-noise" title="Protocol version and capabilities from their last hello">' +
+      (c.caps ? (c.protocol ? 'v' + c.protocol + ' · ' : '') + esc(c.caps.join(' ')) : 'capabilities unknown') + '</div>' +
+      '<div class="contact-noise"><a href="#" onclick="event.stopPropagation();setReceipts(\\'' + esc(c.pubKey) + '\\',' + !c.readReceipts + ');return false">' +
+      'read receipts ' + (c.readReceipts ? 'on' : 'off') + '</a> · <a href="#" onclick="event.stopPropagation();setBlocked(\\'' + esc(c.pubKey) + '\\',' + !c.blocked + ');return false">' +
+      (c.blocked ? 'unblock' : 'block') + '</a> · <a href="#" onclick="event.stopPropagation();renameContact(\\'' + esc(c.pubKey) + '\\');return false">rename</a>' +
+      ' · <a href="#" onclick="event.stopPropagation();removeContact(\\'' + esc(c.pubKey) + '\\');return false">remove</a></div>' +
+      (c.keyChanged ? '<div class="key-warn"><span>Encryption key changed</span><button class="btn-ghost hbtn" onclick="event.stopPropagation();trustKey(\\'' + esc(c.pubKey) + '\\')">Trust new key</button></div>' : '') +
+      '</div>'
+  }).join('')
+  var changed = contacts.filter(function (c) { return c.keyChanged })
+  var banner = document.getElementById('keyAlert')
+  banner.classList.toggle('hidden', !changed.length)
+  banner.textContent = changed.length
+    ? '⚠ Encryption key changed for ' + changed.map(function (c) { return c.label }).join(', ') +
+      '. This happens when someone reinstalls — or when someone is impersonating them. Notes to them are blocked until you confirm the new key with them in person and trust it.'
+    : ''
+  sel.innerHTML = contacts.map(function (c) {
+    return '<option value="' + esc(c.pubKey) + '"' + (current.indexOf(c.pubKey) >= 0 ? ' selected' : '') + '>' + esc(c.label) + ' — ' + esc(short(c.pubKey)) + '</option>'
+  }).join('')
+}
+
+// A name the peer picked for itself is never shown like one the user gave
+function nameHtml (c) {
+  if (c.petname) return esc(c.petname)
+  return '<span class="suggested" title="The name they gave themselves — rename to set your own">' + esc(c.label) + '</span>'
+}
+
+function renameContact (pubKey) {
+  var c = contacts.find(function (x) { return x.pubKey === pubKey })
+  var name = prompt('Your name for this contact (leave empty to show the one they suggest):', c && c.petname ? c.petname : '')
+  if (name === null) return
+  ws.send(JSON.stringify({ cmd: 'rename_contact', pubKey: pubKey, name: name }))
+}
+
+function removeContact (pubKey) {
+  if (!confirm('Remove this contact? If they connect again they come back under the name they suggest, unless you block them or turn on allow-only.')) return
+  ws.send(JSON.stringify({ cmd: 'remove_contact', pubKey: pubKey }))
+}
+
+function selectedRecipients () {
+  return Array.prototype.filter.call(document.getElementById('toSelect').options, function (o) { return o.selected })
+    .map(function (o) { return o.value })
+}
+
+function labelOf (pubKey) {
+  var c = contacts.find(function (x) { return x.pubKey === pubKey })
+  return c ? c.label : short(pubKey)
+}
+
+function labelsOf (pubKeys) {
+  return [].concat(pubKeys).map(labelOf).join(', ')
+}
+
+function trustKey (pubKey) {
+  if (!confirm('Only trust the new key if you have confirmed it with this contact directly. Trust it?')) return
+  ws.send(JSON.stringify({ cmd: 'trust_key', pubKey: pubKey }))
+}
+
+function setReceipts (pubKey, enabled) {
+  ws.send(JSON.stringify({ cmd: 'set_receipts', pubKey: pubKey, enabled: enabled }))
+}
+
+// Grouped notes count as verified only if every recipient is
+function isVerified (pubKey) {
+  return [].concat(pubKey).every(function (k) { return contacts.some(function (c) { return c.pubKey === k && c.verified }) })
+}
+
+function openVerify (pubKey) { ws.send(JSON.stringify({ cmd: 'safety_number', pubKey: pubKey })) }
+
+function setVerified (pubKey, verified) {
+  ws.send(JSON.stringify({ cmd: 'verify', pubKey: pubKey, verified: verified }))
+  openVerify(pubKey)
+}
+
+function renderVerify (sn) {
+  openGroupId = null
+  shownNoteId = null
+  document.getElementById('readView').innerHTML =
+    '<div class="note-header"><div class="from-label">Verify safety number</div>' +
+    '<div class="from-val">' + esc(sn.label) + (sn.verified ? ' <span class="verified-mark">✓ verified</span>' : '') + '</div>' +
+    '<div class="time-val">id ' + esc(sn.pubKey) + '</div></div>' +
+    (sn.pending ? '<div class="key-warn">This contact has a new encryption key. Marking it verified also trusts the new key.</div>' : '') +
+    '<div class="safety-num">' + sn.numeric.split(' ').map(function (g) { return '<span>' + esc(g) + '</span>' }).join('') + '</div>' +
+    '<div class="safety-words">' + esc(sn.words) + '</div>' +
+    '<p class="safety-hint">Compare the numbers or words with ' + esc(sn.label) + ' in person or on a call. They see exactly the same on their side. If anything differs, someone may be intercepting your notes.</p>' +
+    (sn.verified
+      ? '<button class="btn-ghost hbtn" onclick="setVerified(\\'' + esc(sn.pubKey) + '\\',false)">Clear verification</button>'
+      : '<button class="btn-send" onclick="setVerified(\\'' + esc(sn.pubKey) + '\\',true)">They match — mark as verified</button>')
+  showTab('read')
+}
+
+function pickContact (pubKey) {
+  Array.prototype.forEach.call(document.getElementById('toSelect').options, function (o) { o.selected = o.value === pubKey })
+  showTab('compose')
+  renderContacts()
+}
+
+var STATUS_TEXT = { queued: '⏳ queued', stored: '📮 in their mailbox', sent: '✓ sent', delivered: '✓✓ delivered', read: '✓✓ read', failed: '✕ failed', retracted: '⊘ retracted' }
+
+function statusMark (status) {
+  status = status || 'sent'
+  return '<span class="status ' + status + '">' + (STATUS_TEXT[status] || esc(status)) + '</span>'
+}
+
+function renderNotes () {
+  var el = document.getElementById('noteList')
+  var list = (listMode === 'inbox' ? inbox : sent).slice().reverse()
+  if (!list.length) { el.innerHTML = '<div class="empty-list">No notes yet</div>'; return }
+  el.innerHTML = list.map(function (n) {
+    var who = n.group
+      ? (listMode === 'inbox' ? 'from ' + labelOf(n.from) + ' ' : '') + 'in ' + groupName(n.group)
+      : listMode === 'inbox' ? 'from ' + labelOf(n.from) : 'to ' + labelsOf(n.to)
+    var ok = isVerified(listMode === 'inbox' ? n.from : n.to)
+    return '<div class="note-item' + (listMode === 'inbox' && !n.read ? ' unread' : '') + '" onclick="openNote(\\'' + listMode + '\\',\\'' + esc(n.id) + '\\')">' +
+      '<div class="note-from"><span>' + esc(who) + (ok ? ' <span class="verified-mark" title="Safety number verified">✓</span>' : '') + '</span><span class="note-ts">' + esc(fmtTs(n.ts)) + '</span></div>' +
+      '<div class="note-preview">' + (n.retracted ? '⊘ retracted' : (n.expiresAt ? '⏱ ' : '') + (n.editedAt ? '✎ ' : '') +
+        (n.attachment ? '📎 ' + esc(n.attachment.name) + ' ' : '') + esc(n.body)) + '</div>' +
+      (listMode === 'sent' ? statusMark(n.status) : '') + '</div>'
+  }).join('')
+}
+
+function openNote (mode, id) {
+  var list = mode === 'inbox' ? inbox : sent
+  var n = list.find(function (x) { return x.id === id })
+  if (!n) return
+  openGroupId = null
+  shownNoteId = n.id
+  shownMode = mode
+  if (mode === 'inbox' && !n.read) {
+    n.read = true
+    ws.send(JSON.stringify({ cmd: 'read', id: n.id }))
   }
-  peer.scBridge = scBridge;
+  document.getElementById('readView').innerHTML =
+    '<div class="note-header"><div class="from-label">' + (mode === 'inbox' ? 'From' : 'To') + '</div>' +
+    '<div class="from-val">' + esc(mode === 'inbox' ? labelOf(n.from) : labelsOf(n.to)) +
+    (isVerified(mode === 'inbox' ? n.from : n.to) ? ' <span class="verified-mark">✓ verified contact</span>' : ' <span class="note-ts">unverified contact</span>') + '</div>' +
+    '<div class="time-val">' + esc(fmtTs(n.ts)) + (mode === 'sent' ? ' · ' + statusMark(n.status) : '') + countdownHtml(n) + '</div>' +
+    (n.recipients ? '<div class="time-val">' + Object.keys(n.recipients).map(function (k) { return esc(labelOf(k)) + ' ' + statusMark(n.recipients[k]) }).join(' · ') + '</div>' : '') +
+    (n.cc ? '<div class="time-val">also to ' + n.cc.map(function (k) { return esc(labelOf(k)) }).join(', ') + '</div>' : '') + '</div>' +
+    '<div class="decrypted-badge">🔓 decrypted locally · signature verified' + (n.sealed ? ' · sealed sender' : '') + '</div>' +
+    (n.attachment ? '<div class="attachment" id="att-' + esc(n.attachment.id) + '">' + attachmentHtml(n.attachment) + '</div>' : '') +
+    (n.retracted
+      ? '<div class="note-body retracted">⊘ Retracted by the sender · ' + esc(fmtTs(n.retracted)) + '</div>'
+      : '<div class="note-body" id="noteBody">' + esc(n.body) + '</div>' + historyHtml(n)) +
+    '<div class="note-actions">' +
+    (mode === 'sent' && !n.retracted
+      ? '<button class="btn-ghost hbtn" onclick="startEdit(\\'' + esc(n.id) + '\\')">Edit</button>' +
+        '<button class="btn-ghost hbtn" onclick="retractNote(\\'' + esc(n.id) + '\\')">Retract</button>'
+      : '') +
+    '<button class="btn-ghost hbtn" onclick="deleteNote(\\'' + esc(n.id) + '\\')">Delete note</button></div>'
+  showTab('read')
+  renderNotes()
+  renderContacts()
+}
+
+function historyHtml (n) {
+  if (!n.history || !n.history.length) return ''
+  return '<details class="history"><summary>✎ edited ' + esc(fmtTs(n.editedAt)) + ' · ' + n.history.length + ' earlier version' + (n.history.length === 1 ? '' : 's') + '</summary>' +
+    n.history.slice().reverse().map(function (h) {
+      return '<div class="history-item"><div class="note-ts">' + esc(fmtTs(h.ts)) + '</div>' + esc(h.body) + '</div>'
+    }).join('') + '</details>'
+}
+
+function startEdit (id) {
+  var n = sent.find(function (x) { return x.id === id })
+  var el = document.getElementById('noteBody')
+  if (!n || !el) return
+  el.outerHTML = '<textarea id="editBody"></textarea><div class="note-actions">' +
+    '<button class="btn-send" onclick="saveEdit(\\'' + esc(id) + '\\')">Encrypt &amp; send edit</button>' +
+    '<button class="btn-ghost hbtn" onclick="openNote(\\'sent\\',\\'' + esc(id) + '\\')">Cancel</button></div>'
+  document.getElementById('editBody').value = n.body
+  document.getElementById('editBody').focus()
+}
+
+function saveEdit (id) {
+  ws.send(JSON.stringify({ cmd: 'edit', id: id, body: document.getElementById('editBody').value }))
 }
 
-sidechannel
-  .start()
-  .then(() => {
-    console.log('Sidechannel: ready');
+function retractNote (id) {
+  if (!confirm('Retract this note? Recipients will see a "retracted" placeholder instead of it.')) return
+  ws.send(JSON.stringify({ cmd: 'retract', id: id }))
+}
+
+function fmtLeft (ms) {
+  var s = Math.max(0, Math.ceil(ms / 1000))
+  if (s < 60) return s + 's'
+  if (s < 3600) return Math.floor(s / 60) + 'm ' + (s % 60) + 's'
+  if (s < 86400) return Math.floor(s / 3600) + 'h ' + Math.floor(s % 3600 / 60) + 'm'
+  return Math.floor(s / 86400) + 'd ' + Math.floor(s % 86400 / 3600) + 'h'
+}
+
+function countdownHtml (n) {
+  return n.expiresAt ? ' · <span class="countdown" data-exp="' + n.expiresAt + '">⏱ disappears in ' + fmtLeft(n.expiresAt - Date.now()) + '</span>' : ''
+}
+
+// The server removes expired notes; this only keeps the visible clocks moving
+function tickCountdowns () {
+  var els = document.querySelectorAll('.countdown')
+  for (var i = 0; i < els.length; i++) els[i].textContent = '⏱ disappears in ' + fmtLeft(Number(els[i].getAttribute('data-exp')) - Date.now())
+}
+setInterval(tickCountdowns, 1000)
+
+function fmtSize (bytes) {
+  return bytes < 1024 ? bytes + ' B' : bytes < 1048576 ? (bytes / 1024).toFixed(1) + ' KiB' : (bytes / 1048576).toFixed(1) + ' MiB'
+}
+
+// Sent attachments have no state: the sender always holds the whole file
+function attachmentHtml (a) {
+  var state = a.state || 'done'
+  return '<span>📎 ' + esc(a.name) + ' <span class="note-ts">' + fmtSize(a.size) + '</span></span>' +
+    (state === 'done' ? '<a class="btn-ghost hbtn" href="/file/' + esc(a.id) + '">Download</a>'
+      : state === 'failed' ? '<span class="status failed">✕ transfer failed</span>'
+        : '<span class="status queued">⏳ ' + Math.floor(100 * (a.have || 0) / a.chunks) + '%</span>')
+}
+
+function deleteNote (id) {
+  if (!confirm('Delete this note from this device? This cannot be undone.')) return
+  ws.send(JSON.stringify({ cmd: 'delete_note', id: id }))
+  document.getElementById('readView').innerHTML = '<div class="empty"><div class="seal">🔏</div>Select a note to decrypt and read it</div>'
+}
+
+function groupName (id) {
+  var g = groups.find(function (x) { return x.id === id })
+  return g ? g.name : 'a group'
+}
+
+function renderGroups () {
+  var el = document.getElementById('groupList')
+  if (!groups.length) { el.innerHTML = '<div class="empty-list">No groups yet. Pick recipients in Compose, name the group below and create it.</div>'; return }
+  el.innerHTML = groups.map(function (g) {
+    var unread = inbox.some(function (n) { return n.group === g.id && !n.read })
+    return '<div class="contact-item' + (g.id === openGroupId ? ' active' : '') + '" onclick="openGroup(\\'' + esc(g.id) + '\\')">' +
+      '<div class="contact-label">' + (unread ? '<span class="unread-dot"></span>' : '') + '👥 ' + esc(g.name) + '</div>' +
+      '<div class="contact-noise">' + g.members.length + ' members' + (g.admin ? ' · admin' : '') + (g.active ? '' : ' · you were removed') + '</div></div>'
+  }).join('')
+}
+
+function openGroup (id) {
+  var g = groups.find(function (x) { return x.id === id })
+  if (!g) return
+  var draft = openGroupId === id && document.getElementById('groupBody') ? document.getElementById('groupBody').value : ''
+  openGroupId = id
+  shownNoteId = null
+  var thread = inbox.concat(sent).filter(function (n) { return n.group === id }).sort(function (a, b) { return a.ts - b.ts })
+  thread.forEach(function (n) {
+    if (n.from && !n.read) { n.read = true; ws.send(JSON.stringify({ cmd: 'read', id: n.id })) }
   })
-  .catch((err) => {
-    console.error('Sidechannel failed to start:', err?.message ?? err);
-  });
+  var outside = contacts.filter(function (c) { return g.members.indexOf(c.pubKey) < 0 })
+  document.getElementById('readView').innerHTML =
+    '<div class="note-header"><div class="from-label">Group · epoch ' + g.epoch + '</div>' +
+    '<div class="from-val">👥 ' + esc(g.name) + '</div>' +
+    '<div class="time-val">' + g.members.map(function (k) {
+      return esc(k === me.pubKey ? 'you' : labelOf(k)) + (g.admins.indexOf(k) >= 0 ? ' (admin)' : '') +
+        (g.admin && k !== g.creator ? ' <a href="#" onclick="groupRemove(\\'' + esc(k) + '\\');return false">remove</a>' : '')
+    }).join(' · ') + '</div></div>' +
+    (g.admin && g.active && outside.length
+      ? '<div class="group-add"><select id="grAdd">' + outside.map(function (c) { return '<option value="' + esc(c.pubKey) + '">' + esc(c.label) + '</option>' }).join('') +
+        '</select><button class="btn-ghost hbtn" onclick="groupAdd()">Add member</button></div>'
+      : '') +
+    '<div class="thread">' + (thread.length ? thread.map(function (n) {
+      var mine = !n.from
+      return '<div class="thread-msg' + (mine ? ' mine' : '') + '"><div class="note-from"><span>' + esc(mine ? 'you' : labelOf(n.from)) + '</span>' +
+        '<span class="note-ts">' + esc(fmtTs(n.ts)) + (mine ? ' · ' + statusMark(n.status) : '') + countdownHtml(n) + '</span></div>' +
+        (n.retracted ? '<div class="note-body retracted">⊘ retracted</div>' : '<div class="note-body">' + esc(n.body) + '</div>' + historyHtml(n)) + '</div>'
+    }).join('') : '<div class="empty-list">No notes in this group yet</div>') + '</div>' +
+    (g.active
+      ? '<textarea id="groupBody" placeholder="Write to everyone in ' + esc(g.name) + '…"></textarea>' +
+        '<button class="btn-send" style="margin-top:10px" onclick="groupSend()">Encrypt &amp; send to group</button>'
+      : '<div class="key-warn">You were removed from this group and no longer receive its notes.</div>')
+  if (draft) document.getElementById('groupBody').value = draft
+  showTab('read')
+  renderGroups()
+  renderNotes()
+}
+
+// Re-render the open thread in place when something in it changes
+function refreshGroup () {
+  if (openGroupId && !document.getElementById('readView').classList.contains('hidden')) openGroup(openGroupId)
+}
+
+function createGroup () {
+  var name = document.getElementById('grName').value.trim()
+  if (!name) { toast('Name the group first', true); return }
+  ws.send(JSON.stringify({ cmd: 'group_create', name: name, members: selectedRecipients() }))
+  document.getElementById('grName').value = ''
+}
+
+function groupAdd () {
+  ws.send(JSON.stringify({ cmd: 'group_add', groupId: openGroupId, pubKey: document.getElementById('grAdd').value }))
+}
+
+function groupRemove (pubKey) {
+  if (!confirm('Remove ' + labelOf(pubKey) + ' from ' + groupName(openGroupId) + '? They will not be able to read anything sent after this.')) return
+  ws.send(JSON.stringify({ cmd: 'group_remove', groupId: openGroupId, pubKey: pubKey }))
+}
+
+function groupSend () {
+  var body = document.getElementById('groupBody').value
+  if (!body.trim()) { toast('Nothing to send', true); return }
+  ws.send(JSON.stringify({ cmd: 'group_send', groupId: openGroupId, body: body }))
+}
+
+function sendNote () {
+  var to = selectedRecipients()
+  var body = document.getElementById('bodyInput').value
+  var file = document.getElementById('fileInput').files[0]
+  var expiresIn = Number(document.getElementById('expiresSelect').value) || undefined
+  if (!to.length) { toast('Pick a recipient first', true); return }
+  if (!file && !body.trim()) { toast('Nothing to send', true); return }
+  if (!file) { ws.send(JSON.stringify({ cmd: 'send', toPubKey: to.length === 1 ? to[0] : to, body: body, expiresIn: expiresIn })); return }
+  if (file.size > 50 * 1024 * 1024) { toast('File is too large (max 50 MiB)', true); return }
+  var reader = new FileReader()
+  reader.onload = function () {
+    var data = reader.result.slice(reader.result.indexOf(',') + 1)
+    ws.send(JSON.stringify({ cmd: 'attach', toPubKey: to.length === 1 ? to[0] : to, name: file.name, mime: file.type, data: data, body: body, expiresIn: expiresIn }))
+  }
+  reader.onerror = function () { toast('Could not read ' + file.name, true) }
+  reader.readAsDataURL(file)
+}
 
-const terminal = new Terminal(peer);
-await terminal.start();
+function renderRequests () {
+  var el = document.getElementById('requestList')
+  document.getElementById('requestHeader').classList.toggle('hidden', !requests.length)
+  el.classList.toggle('hidden', !requests.length)
+  el.innerHTML = requests.map(function (r) {
+    return '<div class="contact-item request">' +
+      '<div class="contact-label">📨 Unknown sender · ' + r.count + ' note' + (r.count === 1 ? '' : 's') + '</div>' +
+      '<div class="contact-key">id ' + esc(r.from) + '</div>' +
+      '<div class="contact-noise">last ' + esc(fmtTs(r.last)) + (r.encPubKey ? '' : ' · enc key unknown until they come online') + '</div>' +
+      (r.encPubKey ? '' : '<input type="text" id="rq-' + esc(r.from) + '" placeholder="their enc pubkey">') +
+      '<div class="note-actions" style="margin-top:8px">' +
+      '<button class="btn-ghost hbtn" onclick="acceptRequest(\\'' + esc(r.from) + '\\')">Accept</button>' +
+      '<button class="btn-ghost hbtn" onclick="rejectRequest(\\'' + esc(r.from) + '\\')">Reject</button>' +
+      '<button class="btn-ghost hbtn" onclick="setBlocked(\\'' + esc(r.from) + '\\',true)">Block</button></div></div>'
+  }).join('')
+}
+
+function acceptRequest (from) {
+  var input = document.getElementById('rq-' + from)
+  ws.send(JSON.stringify({ cmd: 'accept_request', pubKey: from, encPubKey: input ? input.value.trim() : undefined }))
+}
+
+function rejectRequest (from) {
+  if (!confirm('Reject and delete the notes from this sender without reading them?')) return
+  ws.send(JSON.stringify({ cmd: 'reject_request', pubKey: from }))
+}
+
+function renderBlocked () {
+  document.getElementById('blockedBox').classList.toggle('hidden', !blocked.length)
+  document.getElementById('blockedSummary').textContent = '⛔ Blocked (' + blocked.length + ')'
+  document.getElementById('blockedList').innerHTML = blocked.map(function (b) {
+    return '<div class="blocked-item"><span>' + esc(b.label) + '</span>' +
+      '<button class="btn-ghost hbtn" style="margin-left:auto" onclick="setBlocked(\\'' + esc(b.pubKey) + '\\',false)">Unblock</button></div>'
+  }).join('')
+}
+
+function setBlocked (pubKey, on) {
+  if (on && !confirm('Block this identity? Their connections are refused and nothing they send is kept.')) return
+  ws.send(JSON.stringify({ cmd: on ? 'block' : 'unblock', pubKey: pubKey }))
+}
+
+function setAllowOnly (on) {
+  ws.send(JSON.stringify({ cmd: 'allow_only', enabled: on }))
+}
+
+function setDiscovery (on) {
+  ws.send(JSON.stringify({ cmd: 'discovery', enabled: on }))
+}
+
+function setMailbox () {
+  ws.send(JSON.stringify({ cmd: 'set_mailbox', pubKey: document.getElementById('mailboxInput').value.trim() || null }))
+}
+
+function renderMailbox (m) {
+  var input = document.getElementById('mailboxInput')
+  if (document.activeElement !== input) input.value = m.pubKey || ''
+  var text = m.pubKey ? '📮 ' + m.label + ' — ' + (m.online ? (m.registered ? 'holding notes for you' : 'connected') : 'offline') : 'No mailbox'
+  if (m.serving) text += ' · serving ' + m.serving.users + ' user(s), ' + m.serving.items + ' item(s)'
+  document.getElementById('mailboxState').textContent = text
+}
+
+function addContact () {
+  var pubKey = document.getElementById('acPub').value.trim()
+  var encPubKey = document.getElementById('acEnc').value.trim()
+  var label = document.getElementById('acLabel').value.trim()
+  if (!pubKey || !encPubKey) { toast('Both keys are required', true); return }
+  ws.send(JSON.stringify({ cmd: 'add_contact', pubKey: pubKey, encPubKey: encPubKey, label: label }))
+  document.getElementById('acPub').value = ''
+  document.getElementById('acEnc').value = ''
+  document.getElementById('acLabel').value = ''
+}
+
+function showLock (setup) {
+  lockSetup = setup
+  inbox = []; sent = []; contacts = []; groups = []; requests = []; blocked = []; openGroupId = null
+  renderNotes(); renderContacts(); renderGroups(); renderRequests(); renderBlocked()
+  document.getElementById('readView').innerHTML = '<div class="empty"><div class="seal">🔏</div>Select a note to decrypt and read it</div>'
+  document.getElementById('lockTitle').textContent = setup ? 'Protect your identity' : 'Identity locked'
+  document.getElementById('lockHint').textContent = setup
+    ? 'Choose a passphrase (8+ characters). Your keys are encrypted with it on disk and cannot be recovered without it.'
+    : 'Enter your passphrase to decrypt your keys.'
+  document.getElementById('lockConfirm').classList.toggle('hidden', !setup)
+  document.getElementById('lockScreen').classList.remove('hidden')
+  document.getElementById('lockPass').focus()
+}
+
+function submitUnlock () {
+  var pass = document.getElementById('lockPass').value
+  var confirm = document.getElementById('lockConfirm').value
+  if (!pass) return
+  if (lockSetup && pass !== confirm) { toast('Passphrases do not match', true); return }
+  ws.send(JSON.stringify({ cmd: 'unlock', passphrase: pass }))
+  document.getElementById('lockPass').value = ''
+  document.getElementById('lockConfirm').value = ''
+}
+
+function lockNow () { ws.send(JSON.stringify({ cmd: 'lock' })) }
+
+function connect () {
+  ws = new WebSocket('ws://' + location.hostname + ':' + (Number(location.port || 80) + 1))
+  ws.onmessage = function (ev) {
+    var msg = JSON.parse(ev.data)
+    if (msg.type === 'locked') showLock(msg.setup)
+    else if (msg.type === 'init') {
+      me = msg
+      document.getElementById('lockScreen').classList.add('hidden')
+      document.getElementById('mySignKey').innerHTML = '<span class="hi">' + esc(msg.pubKey) + '</span>'
+      document.getElementById('myEncKey').textContent = msg.encPubKey
+      document.getElementById('myNoiseKey').textContent = msg.noiseKey || '…'
+    } else if (msg.type === 'inbox') { inbox = msg.notes; renderNotes(); renderContacts(); renderGroups(); refreshGroup() }
+    else if (msg.type === 'sent') { sent = msg.notes; renderNotes(); refreshGroup() }
+    else if (msg.type === 'groups') { groups = msg.groups; renderGroups(); renderNotes(); refreshGroup() }
+    else if (msg.type === 'requests') {
+      if (msg.requests.length > requests.length) toast('📨 New message request from an unknown sender')
+      requests = msg.requests
+      renderRequests()
+    } else if (msg.type === 'blocklist') {
+      blocked = msg.blocked
+      document.getElementById('allowOnly').checked = msg.allowOnly
+      renderBlocked()
+    } else if (msg.type === 'discovery') document.getElementById('discovery').checked = msg.enabled
+    else if (msg.type === 'mailbox') renderMailbox(msg)
+    else if (msg.type === 'group_ok') toast('👥 ' + msg.group.name + ' updated')
+    else if (msg.type === 'contacts') {
+      var wasChanged = contacts.filter(function (c) { return c.keyChanged }).map(function (c) { return c.pubKey })
+      contacts = msg.contacts
+      contacts.forEach(function (c) { if (c.keyChanged && wasChanged.indexOf(c.pubKey) < 0) toast('⚠ Encryption key changed for ' + c.label, true) })
+      renderContacts()
+      renderNotes()
+    }
+    else if (msg.type === 'safety_number') renderVerify(msg)
+    else if (msg.type === 'drops') {
+      var total = msg.duplicate + msg.stale
+      var dc = document.getElementById('dropCount')
+      dc.classList.toggle('hidden', !total)
+      dc.textContent = '🛡 ' + total + ' dropped'
+      dc.title = msg.duplicate + ' replayed, ' + msg.stale + ' outside the time window — refused'
+    }
+    else if (msg.type === 'peers') { document.getElementById('peerCount').textContent = msg.count + (msg.count === 1 ? ' peer' : ' peers') }
+    else if (msg.type === 'note') {
+      inbox.push(msg.note); renderNotes(); renderContacts(); renderGroups(); refreshGroup()
+      toast('🔐 New note from ' + labelOf(msg.note.from) + (msg.note.group ? ' in ' + groupName(msg.note.group) : ''))
+    } else if (msg.type === 'sent_ok' && msg.note.group) {
+      sent.push(msg.note)
+      if (document.getElementById('groupBody')) document.getElementById('groupBody').value = ''
+      renderNotes(); refreshGroup()
+      toast('Encrypted & sent to ' + groupName(msg.note.group))
+    } else if (msg.type === 'sent_ok') {
+      sent.push(msg.note)
+      document.getElementById('bodyInput').value = ''
+      document.getElementById('fileInput').value = ''
+      renderNotes()
+      toast(msg.note.recipients
+        ? 'Encrypted once for ' + msg.note.to.length + ' recipients' + (msg.note.status === 'queued' ? ' — some go out when they come online' : '')
+        : msg.note.status === 'queued'
+          ? 'Encrypted & queued — goes out when ' + labelsOf(msg.note.to) + ' comes online'
+          : 'Encrypted & sent to ' + labelsOf(msg.note.to))
+    } else if (msg.type === 'note_status') {
+      var n = sent.find(function (x) { return x.id === msg.id })
+      if (n) { n.status = msg.status; if (msg.recipients) n.recipients = msg.recipients; renderNotes(); if (n.group) refreshGroup() }
+    } else if (msg.type === 'note_updated') {
+      var box = msg.box === 'sent' ? sent : inbox
+      var at = box.findIndex(function (x) { return x.id === msg.note.id })
+      if (at >= 0) box[at] = msg.note
+      if (shownNoteId === msg.note.id && shownMode === msg.box) openNote(msg.box, msg.note.id)
+      if (msg.box === 'inbox') toast((msg.note.retracted ? '⊘ ' + labelOf(msg.note.from) + ' retracted a note' : '✎ ' + labelOf(msg.note.from) + ' edited a note'))
+      renderNotes(); refreshGroup()
+    } else if (msg.type === 'note_expired') {
+      var gone = function (n) { return msg.ids.indexOf(n.id) >= 0 }
+      inbox = inbox.filter(function (n) { return !gone(n) })
+      sent = sent.filter(function (n) { return !gone(n) })
+      if (shownNoteId && msg.ids.indexOf(shownNoteId) >= 0) {
+        shownNoteId = null
+        document.getElementById('readView').innerHTML = '<div class="empty"><div class="seal">🔏</div>This note has disappeared</div>'
+      }
+      renderNotes(); renderContacts(); renderGroups(); refreshGroup()
+    } else if (msg.type === 'file_progress') {
+      var fn = inbox.find(function (x) { return x.id === msg.note })
+      if (fn && fn.attachment) {
+        fn.attachment.have = msg.have
+        fn.attachment.state = msg.state
+        var box = document.getElementById('att-' + msg.id)
+        if (box) box.innerHTML = attachmentHtml(fn.attachment)
+        if (msg.state === 'done') toast('📎 ' + fn.attachment.name + ' received')
+        if (msg.state === 'failed') toast('📎 ' + fn.attachment.name + ' failed its integrity check', true)
+      }
+    } else if (msg.type === 'error') toast(msg.msg, true)
+  }
+  ws.onclose = function () { setTimeout(connect, 2000) }
+}
+connect()
+</script>
+</body>
+</html>`
+
+// ─── Boot ─────────────────────────────────────────────────────────────────────
+startUI()
+startCLI()
+teardown(() => swarm?.destroy())
+
+// Headless agents can unlock from the environment instead of the UI or CLI
+if (process.env.WHISPER_PASSPHRASE) {
+  await unlock(process.env.WHISPER_PASSPHRASE).catch((e) => console.error('[identity]', e.message))
+} else {
+  console.log(`[identity] locked — unlock at http://localhost:${HTTP_PORT} or type \`unlock\``)
+}
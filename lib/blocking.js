@@ -0,0 +1,33 @@
+// Who may reach us. A blocked identity gets nothing through. In allow-only
+// mode only contacts the user added or accepted (`allowed`) may deliver
+// notes, and a stranger's hello no longer makes them a contact. `policy` is
+// { blocked: Map<pubKey, ms>, allowOnly: boolean, contacts: Map<pubKey, contact> }.
+import { isKeyHex } from './keys.js'
+
+// What to do with a verified hello from pubKey: 'refuse' closes the
+// connection, 'stranger' pins their key without adding a contact, 'contact'
+// adds or updates the contact as usual
+export function helloAdmission (pubKey, { blocked, allowOnly, contacts }) {
+  if (blocked.has(pubKey)) return 'refuse'
+  if (allowOnly && !contacts.has(pubKey)) return 'stranger'
+  return 'contact'
+}
+
+// What to do with a verified note from pubKey: 'drop' it unread, hold it as a
+// 'request', or 'deliver' it
+export function noteAdmission (pubKey, { blocked, allowOnly, contacts }) {
+  if (blocked.has(pubKey)) return 'drop'
+  const c = contacts.get(pubKey)
+  if (!c || (allowOnly && !c.allowed)) return 'request'
+  return 'deliver'
+}
+
+export function checkBlockable (pubKey, me) {
+  if (!isKeyHex(pubKey)) throw new Error('Key must be 32-byte hex')
+  if (pubKey === me) throw new Error('You cannot block yourself')
+}
+
+// Forgets the noise keys firewalled for pubKey once it is unblocked
+export function releaseRefused (refused, pubKey) {
+  for (const [noiseKey, pk] of refused) if (pk === pubKey) refused.delete(noiseKey)
+}
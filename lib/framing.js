@@ -0,0 +1,36 @@
+// A Hyperswarm stream delivers bytes, not messages: one chunk can hold half a
+// note or three acks. Every message goes out as a 4-byte big-endian length
+// followed by that much JSON. A frame whose body does not parse is skipped on
+// its own; a length above MAX_FRAME means the stream can no longer be trusted,
+// so the connection is closed and left to reconnect.
+import b4a from 'b4a'
+
+export const MAX_FRAME = 1024 * 1024
+
+export function encodeFrame (msg) {
+  const body = b4a.from(JSON.stringify(msg))
+  if (body.length > MAX_FRAME) throw new Error(`message of ${body.length} bytes exceeds the ${MAX_FRAME} byte frame limit`)
+  const frame = b4a.allocUnsafe(4 + body.length)
+  frame.writeUInt32BE(body.length, 0)
+  frame.set(body, 4)
+  return frame
+}
+
+export function frameDecoder (onFrame, onOversize) {
+  let buf = b4a.alloc(0)
+  return (chunk) => {
+    buf = buf.length ? b4a.concat([buf, chunk]) : chunk
+    while (buf.length >= 4) {
+      const len = buf.readUInt32BE(0)
+      if (len > MAX_FRAME) {
+        buf = b4a.alloc(0)
+        onOversize(len)
+        return
+      }
+      if (buf.length < 4 + len) return
+      const body = buf.subarray(4, 4 + len)
+      buf = buf.subarray(4 + len)
+      onFrame(body)
+    }
+  }
+}
@@ -0,0 +1,58 @@
+// Group state checks. A group is a state object signed by its creator or an
+// admin: name, admins, members and an epoch that goes up with every change.
+// These functions only look at states whose signature index.js has already
+// verified; they decide whether a state is well formed, whether it may replace
+// the one we hold, and whom a group note may come from.
+import { isKeyHex } from './keys.js'
+
+export const MAX_GROUP_MEMBERS = 51     // a note's 50 recipients plus its sender
+export const MAX_GROUP_NAME    = 64
+export const GROUP_ID_RE       = /^[0-9a-f]{32}$/
+
+export function validGroupState (s) {
+  return !!s && typeof s === 'object' && GROUP_ID_RE.test(s.id) &&
+    typeof s.name === 'string' && s.name.length > 0 && s.name.length <= MAX_GROUP_NAME &&
+    Number.isInteger(s.epoch) && s.epoch > 0 && Number.isFinite(s.ts) &&
+    isKeyHex(s.creator) && isKeyHex(s.by) && typeof s.sig === 'string' &&
+    Array.isArray(s.members) && s.members.length <= MAX_GROUP_MEMBERS && s.members.every(isKeyHex) &&
+    Array.isArray(s.admins) && s.admins.includes(s.creator) && s.admins.every(pk => s.members.includes(pk))
+}
+
+// Why `next` may not replace `cur` (undefined for a group we have not seen),
+// or null if it may. A new state is only taken from someone who is an admin in
+// the state we hold, and only with a higher epoch; the first state we see is
+// taken on trust, like a pin, if it makes us a member.
+export function groupTransition (cur, next, me) {
+  if (!cur) return next.admins.includes(next.by) && next.members.includes(me) ? null : 'not for us'
+  if (next.epoch <= cur.epoch) return 'stale'
+  if (next.creator !== cur.creator || !cur.admins.includes(next.by)) return 'not an admin'
+  return null
+}
+
+// A group note is taken only for a group we hold and are still in, from a
+// current member. The state goes out before the first note over the same
+// connection or outbox, so a note for an unknown group is not worth keeping.
+export function groupAccepts (group, from, me) {
+  return !!group && group.members.includes(from) && group.members.includes(me)
+}
+
+// The members and admins after adding or promoting pubKey
+export function withMember (group, pubKey, admin = false) {
+  const member = group.members.includes(pubKey)
+  if (member && (!admin || group.admins.includes(pubKey))) throw new Error('Already a member')
+  if (!member && group.members.length >= MAX_GROUP_MEMBERS) throw new Error(`At most ${MAX_GROUP_MEMBERS} members per group`)
+  return {
+    members: member ? group.members : [...group.members, pubKey],
+    admins:  admin ? [...new Set([...group.admins, pubKey])] : group.admins
+  }
+}
+
+// The members and admins after removing pubKey
+export function withoutMember (group, pubKey) {
+  if (!group.members.includes(pubKey)) throw new Error('Not a member')
+  if (pubKey === group.creator) throw new Error('The creator cannot be removed')
+  return {
+    members: group.members.filter(pk => pk !== pubKey),
+    admins:  group.admins.filter(pk => pk !== pubKey)
+  }
+}
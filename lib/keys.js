@@ -0,0 +1,26 @@
+// Byte and key helpers shared by index.js and the lib modules
+import b4a from 'b4a'
+import sodium from 'sodium-universal'
+import { randomBytes, hkdfSync } from 'crypto'
+
+export const hex      = (buf) => b4a.toString(buf, 'hex')
+export const unhex    = (str) => b4a.from(str, 'hex')
+export const isKeyHex = (str) => typeof str === 'string' && /^[0-9a-f]{64}$/.test(str)
+
+export function encKeyPair (secretKey = randomBytes(32)) {
+  const publicKey = b4a.alloc(32)
+  sodium.crypto_scalarmult_base(publicKey, secretKey)
+  return { publicKey, secretKey }
+}
+
+export function deriveSharedSecret (mySecretKey, theirPublicKey) {
+  const dh = b4a.alloc(32)
+  sodium.crypto_scalarmult(dh, mySecretKey, theirPublicKey)
+  // A low-order public key forces an all-zero result — refuse it
+  if (dh.every(b => b === 0)) throw new Error('invalid X25519 public key')
+  return dh
+}
+
+export function hkdf (ikm, salt, info, length) {
+  return Buffer.from(hkdfSync('sha256', ikm, salt, b4a.from(info), length))
+}
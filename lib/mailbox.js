@@ -0,0 +1,78 @@
+// What a mailbox holds and for whom. Users register an opaque tag with a
+// signed message, so the mailbox knows each tag's owner; deposits are
+// addressed to the tag and carry no key of either party. `users` maps a sign
+// pubkey to { tag, at }, and `items` maps a user's pubkey to
+// Map<ref, { item, size, at }>; both are passed in and changed in place, and
+// the caller persists them.
+import { createHash } from 'crypto'
+import { hex, unhex, hkdf } from './keys.js'
+import { MAX_FRAME } from './framing.js'
+
+export const MAILBOX_TTL       = 7 * 24 * 60 * 60 * 1000
+export const MAILBOX_MAX_USERS = 1000
+export const MAILBOX_MAX_ITEMS = 500                 // held per recipient
+export const MAILBOX_MAX_BYTES = 32 * 1024 * 1024    // held per recipient
+export const MAILBOX_MAX_ITEM  = MAX_FRAME - 4096    // leaves room for the mbox_item around it
+export const MAILBOX_REF_RE    = /^[0-9a-f]{64}$/
+
+export function mailboxTopic (pubKey) {
+  return createHash('sha256').update('tracwhisper/mailbox/' + pubKey).digest()
+}
+
+// What deposits for a user are addressed to at a given mailbox. Derived from
+// their sign secret, so their tags at two mailboxes cannot be tied together.
+// Only that mailbox and the contacts the user hands it to know whose it is.
+export function mailboxTag (secretKey, pubKey) {
+  return hex(hkdf(secretKey, unhex(pubKey), 'tracwhisper/mailbox-tag', 32))
+}
+
+export function tagOwner (users, tag) {
+  for (const [pubKey, user] of users) if (user.tag === tag) return pubKey
+  return null
+}
+
+// Returns why `from` may not register `tag`, or null
+export function registrationError (users, from, tag) {
+  if (!MAILBOX_REF_RE.test(tag)) return 'no tag'
+  const owner = tagOwner(users, tag)
+  if (owner && owner !== from) return 'tag already taken'
+  if (!users.has(from) && users.size >= MAILBOX_MAX_USERS) return `${MAILBOX_MAX_USERS} users already`
+  return null
+}
+
+export function holdItem (items, pubKey, ref, item, at) {
+  if (!items.has(pubKey)) items.set(pubKey, new Map())
+  items.get(pubKey).set(ref, { item, size: JSON.stringify(item).length, at })
+}
+
+export function dropItem (items, pubKey, ref) {
+  const held = items.get(pubKey)
+  if (!held?.delete(ref)) return false
+  if (!held.size) items.delete(pubKey)
+  return true
+}
+
+export function purgeItems (items, now) {
+  for (const [pubKey, held] of items) {
+    for (const [ref, { at }] of held) if (at < now - MAILBOX_TTL) held.delete(ref)
+    if (!held.size) items.delete(pubKey)
+  }
+}
+
+// Holds a well-formed deposit for whoever registered its tag. Returns
+// { rcpt, key, added } or, if it was refused, { rcpt, error }.
+export function acceptDeposit (users, items, { tag, ref, item }, now = Date.now()) {
+  const rcpt = tagOwner(users, tag)
+  if (!rcpt) return { rcpt, error: 'recipient does not use this mailbox' }
+  const size = JSON.stringify(item).length
+  if (size > MAILBOX_MAX_ITEM) return { rcpt, error: 'item too large' }
+  // Scoped to the tag, so a ref is only ever stored once per recipient
+  const key = createHash('sha256').update(tag + ref).digest('hex')
+  if (items.get(rcpt)?.has(key)) return { rcpt, key, added: false }
+  purgeItems(items, now)
+  const held  = items.get(rcpt) || new Map()
+  const bytes = [...held.values()].reduce((sum, e) => sum + e.size, 0)
+  if (held.size >= MAILBOX_MAX_ITEMS || bytes + size > MAILBOX_MAX_BYTES) return { rcpt, error: 'recipient\'s mailbox is full' }
+  holdItem(items, rcpt, key, item, now)
+  return { rcpt, key, added: true }
+}
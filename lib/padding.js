@@ -0,0 +1,37 @@
+// Unpadded, the ciphertext is exactly as long as the UTF-8 body. Padded bodies
+// end in 0x80 and zeros, so stripping needs no length field. Padmé rounds to
+// lengths that leak O(log log n) bits of the size; buckets round up to a fixed
+// ladder. The policy only decides what we send; unpad strips them all.
+import b4a from 'b4a'
+
+export const PADDING_POLICIES = ['padme', 'buckets', 'none']
+export const PAD_MIN          = 256
+export const PAD_BUCKETS      = [256, 1024, 4096, 16384, 65536]
+export const PAD_STEP         = 16384     // past the last bucket, round to this
+
+export function padme (len) {
+  const e    = Math.floor(Math.log2(len))
+  const s    = Math.floor(Math.log2(e)) + 1
+  const mask = 2 ** (e - s) - 1
+  return Math.ceil(len / (mask + 1)) * (mask + 1)
+}
+
+export function paddedLength (len, policy) {
+  if (policy === 'buckets') return PAD_BUCKETS.find(b => b >= len) || Math.ceil(len / PAD_STEP) * PAD_STEP
+  return padme(Math.max(len, PAD_MIN))
+}
+
+export function pad (plaintext, policy) {
+  const body = b4a.from(plaintext)
+  const out  = b4a.alloc(paddedLength(body.length + 1, policy))
+  out.set(body)
+  out[body.length] = 0x80
+  return out
+}
+
+export function unpad (buf) {
+  let i = buf.length - 1
+  while (i >= 0 && buf[i] === 0) i--
+  if (i < 0 || buf[i] !== 0x80) throw new Error('bad padding')
+  return buf.subarray(0, i)
+}
@@ -0,0 +1,265 @@
+// X3DH + Double Ratchet → AES-256-GCM. Each contact gets a ratcheting session
+// keyed by their enc pubkey. The first note runs X3DH against the prekeys from
+// their hello; every note advances a symmetric chain and every reply advances
+// a DH ratchet, so a leaked key opens neither earlier notes nor notes after
+// the next round trip.
+//
+// Nothing here keeps state of its own: prekeys ({ spks, opks }), bundles and
+// session entries ({ active, old }) are passed in and changed in place, and
+// the caller persists them.
+import b4a from 'b4a'
+import { createCipheriv, createDecipheriv, randomBytes, createHmac } from 'crypto'
+import { hex, unhex, encKeyPair, deriveSharedSecret, hkdf } from './keys.js'
+import { pad, unpad } from './padding.js'
+
+export const PAYLOAD_VERSION        = 3
+export const PADDED_PAYLOAD_VERSION = 4
+export const MAX_SKIP               = 1000   // how far ahead of a chain one note may jump
+export const MAX_SKIPPED_KEYS       = 2000   // keys held per session for late notes
+export const MAX_OLD_SESSIONS       = 3      // superseded sessions still accepted
+export const OPK_STRANGERS          = 100    // one-time prekeys kept for non-contacts
+export const SPK_ROTATE_MS          = 7 * 24 * 60 * 60 * 1000
+
+// ── Prekeys ──
+// Returns whether a new signed prekey was made
+export function rotateSignedPrekey (prekeys, now = Date.now()) {
+  const newest = prekeys.spks[prekeys.spks.length - 1]
+  if (newest && now - newest.ts < SPK_ROTATE_MS) return false
+  const kp = encKeyPair()
+  prekeys.spks.push({ id: randomBytes(4).toString('hex'), pub: hex(kp.publicKey), sec: hex(kp.secretKey), ts: now })
+  // Keep the previous signed prekey so sessions started against it still open
+  prekeys.spks = prekeys.spks.slice(-2)
+  return true
+}
+
+// The signed prekey half of a bundle; the one-time prekey is issued per peer
+export function prekeyBundle (prekeys) {
+  const spk = prekeys.spks[prekeys.spks.length - 1]
+  return { spk: { id: spk.id, pub: spk.pub } }
+}
+
+// One outstanding one-time prekey per identity: a reconnect hands out the same
+// one again until a note consumes it, so a bundle a contact holds never goes
+// stale. Only keys offered to strangers are ever evicted.
+export function issueOneTimePrekey (prekeys, pubKey, isContact) {
+  let opk = prekeys.opks.find(k => k.for === pubKey)
+  if (!opk) {
+    const kp = encKeyPair()
+    opk = { id: randomBytes(4).toString('hex'), pub: hex(kp.publicKey), sec: hex(kp.secretKey), for: pubKey, ts: Date.now() }
+    prekeys.opks.push(opk)
+    const strangers = prekeys.opks.filter(k => !isContact(k.for))
+    const evict     = new Set(strangers.slice(0, Math.max(0, strangers.length - OPK_STRANGERS)))
+    prekeys.opks = prekeys.opks.filter(k => !evict.has(k))
+  }
+  return opk
+}
+
+export function consumeOneTimePrekey (prekeys, id) {
+  prekeys.opks = prekeys.opks.filter(k => k.id !== id)
+}
+
+// ── X3DH ──
+function x3dhSecret (dhs) {
+  return hkdf(b4a.concat([b4a.alloc(32, 0xff), ...dhs]), b4a.alloc(32), 'tracwhisper/x3dh', 32)
+}
+
+// Without a bundle (contact added by hand) their identity key stands in for
+// the signed prekey; forward secrecy then starts with their first reply.
+export function initiateSession (myEnc, theirIk, bundle) {
+  const spk = bundle ? unhex(bundle.spk.pub) : theirIk
+  const opk = bundle?.opk ? unhex(bundle.opk.pub) : null
+  const ek  = encKeyPair()
+  const dhs = [
+    deriveSharedSecret(myEnc.secretKey, spk),
+    deriveSharedSecret(ek.secretKey, theirIk),
+    deriveSharedSecret(ek.secretKey, spk)
+  ]
+  if (opk) dhs.push(deriveSharedSecret(ek.secretKey, opk))
+  const x3dh = { ek: hex(ek.publicKey), spk: bundle?.spk.id || null, opk: bundle?.opk?.id || null }
+  if (bundle) bundle.opk = null // single use
+  const ratchet = encKeyPair()
+  const [rk, cks] = kdfRK(x3dhSecret(dhs), deriveSharedSecret(ratchet.secretKey, spk))
+  return {
+    ad:  hex(b4a.concat([myEnc.publicKey, theirIk])),
+    rk:  hex(rk),
+    dhs: { pub: hex(ratchet.publicKey), sec: hex(ratchet.secretKey) },
+    dhr: hex(spk),
+    cks: hex(cks),
+    ckr: null,
+    ns:  0,
+    nr:  0,
+    pn:  0,
+    skipped: {},
+    x3dh  // sent with every note until the first reply arrives
+  }
+}
+
+// `h` is the header of the note that carried the X3DH header. The first DH
+// ratchet step runs here against its ratchet key, so the session never holds
+// the signed prekey (or, without a bundle, our identity key) as its own.
+export function acceptSession (myEnc, prekeys, theirIk, x3dh, h) {
+  const spk = x3dh.spk ? prekeys.spks.find(k => k.id === x3dh.spk) : { pub: hex(myEnc.publicKey), sec: hex(myEnc.secretKey) }
+  if (!spk) throw new Error('unknown signed prekey')
+  const opk = x3dh.opk ? prekeys.opks.find(k => k.id === x3dh.opk) : null
+  if (x3dh.opk && !opk) throw new Error('one-time prekey already used')
+  const ek  = unhex(x3dh.ek)
+  const dhs = [
+    deriveSharedSecret(unhex(spk.sec), theirIk),
+    deriveSharedSecret(myEnc.secretKey, ek),
+    deriveSharedSecret(unhex(spk.sec), ek)
+  ]
+  if (opk) dhs.push(deriveSharedSecret(unhex(opk.sec), ek))
+  const state = {
+    ad:  hex(b4a.concat([theirIk, myEnc.publicKey])),
+    rk:  hex(x3dhSecret(dhs)),
+    dhs: null,
+    dhr: null,
+    cks: null,
+    ckr: null,
+    ns:  0,
+    nr:  0,
+    pn:  0,
+    skipped: {},
+    x3dh: null,
+    ek:  x3dh.ek,
+    opk: x3dh.opk
+  }
+  dhRatchet(state, h, unhex(spk.sec))
+  return state
+}
+
+// ── Double Ratchet ──
+function kdfRK (rk, dhOut) {
+  const out = hkdf(dhOut, rk, 'tracwhisper/ratchet', 64)
+  return [out.subarray(0, 32), out.subarray(32)]
+}
+
+function kdfCK (ck) {
+  const step = (byte) => createHmac('sha256', unhex(ck)).update(b4a.from([byte])).digest()
+  return [hex(step(0x02)), step(0x01)] // [next chain key, message key]
+}
+
+function seal (mk, plaintext, ad) {
+  const k      = hkdf(mk, b4a.alloc(32), 'tracwhisper/note', 44)
+  const cipher = createCipheriv('aes-256-gcm', k.subarray(0, 32), k.subarray(32))
+  cipher.setAAD(ad)
+  const ct = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
+  return { tag: cipher.getAuthTag().toString('hex'), ct: ct.toString('hex') }
+}
+
+function open (mk, payload, ad) {
+  const k        = hkdf(mk, b4a.alloc(32), 'tracwhisper/note', 44)
+  const decipher = createDecipheriv('aes-256-gcm', k.subarray(0, 32), k.subarray(32))
+  decipher.setAAD(ad)
+  decipher.setAuthTag(unhex(payload.tag))
+  return b4a.concat([decipher.update(unhex(payload.ct)), decipher.final()])
+}
+
+function headerAD (state, h) {
+  return b4a.concat([unhex(state.ad), b4a.from(`${h.dh}:${h.pn}:${h.n}`)])
+}
+
+function skipMessageKeys (state, until) {
+  if (!state.ckr) return
+  if (until - state.nr > MAX_SKIP) throw new Error('too many skipped notes')
+  while (state.nr < until) {
+    const [ckr, mk] = kdfCK(state.ckr)
+    state.ckr = ckr
+    state.skipped[`${state.dhr}:${state.nr}`] = hex(mk)
+    state.nr++
+  }
+  const ids = Object.keys(state.skipped)
+  for (const id of ids.slice(0, Math.max(0, ids.length - MAX_SKIPPED_KEYS))) delete state.skipped[id]
+}
+
+function dhRatchet (state, h, mySecret = unhex(state.dhs.sec)) {
+  state.pn  = state.ns
+  state.ns  = 0
+  state.nr  = 0
+  state.dhr = h.dh
+  let [rk, ckr] = kdfRK(unhex(state.rk), deriveSharedSecret(mySecret, unhex(h.dh)))
+  const next = encKeyPair()
+  const [rk2, cks] = kdfRK(rk, deriveSharedSecret(next.secretKey, unhex(h.dh)))
+  rk = rk2
+  state.rk  = hex(rk)
+  state.ckr = hex(ckr)
+  state.cks = hex(cks)
+  state.dhs = { pub: hex(next.publicKey), sec: hex(next.secretKey) }
+}
+
+export function ratchetEncrypt (state, plaintext) {
+  const [cks, mk] = kdfCK(state.cks)
+  state.cks = cks
+  const h = { dh: state.dhs.pub, pn: state.pn, n: state.ns++ }
+  return { h, ...seal(mk, plaintext, headerAD(state, h)) }
+}
+
+export function ratchetDecrypt (state, payload) {
+  const { h } = payload
+  const skipped = state.skipped[`${h.dh}:${h.n}`]
+  if (skipped) {
+    delete state.skipped[`${h.dh}:${h.n}`]
+    return open(unhex(skipped), payload, headerAD(state, h))
+  }
+  if (h.dh !== state.dhr) {
+    skipMessageKeys(state, h.pn)
+    dhRatchet(state, h)
+  }
+  skipMessageKeys(state, h.n)
+  const [ckr, mk] = kdfCK(state.ckr)
+  state.ckr = ckr
+  state.nr++
+  return open(mk, payload, headerAD(state, h))
+}
+
+// ── Sessions ──
+// `padding` is the policy to pad with, or null to send the body as is
+export function encryptFor (entry, myEnc, theirIk, bundle, plaintext, padding = null) {
+  if (!entry.active) entry.active = initiateSession(myEnc, theirIk, bundle)
+  const { h, tag, ct } = ratchetEncrypt(entry.active, padding ? pad(plaintext, padding) : plaintext)
+  const payload = { v: padding ? PADDED_PAYLOAD_VERSION : PAYLOAD_VERSION, h, tag, ct }
+  if (entry.active.x3dh) payload.x3dh = entry.active.x3dh
+  return payload
+}
+
+// Tries the active session, then superseded ones (both sides may have opened
+// a session at once, or notes may still be in flight on an old one), then a
+// new session if the note carries an X3DH header we have not seen. State only
+// advances when a note actually opens, so forged or garbled notes are
+// harmless. Returns the body, or null; a one-time prekey the note used is
+// consumed from `prekeys`.
+export function decryptFrom (entry, myEnc, prekeys, theirIk, payload) {
+  try {
+    if ((payload.v !== PAYLOAD_VERSION && payload.v !== PADDED_PAYLOAD_VERSION) || !payload.h) return null
+    const candidates = [entry.active, ...entry.old].filter(Boolean)
+    if (payload.x3dh && !candidates.some(s => s.ek === payload.x3dh.ek)) {
+      candidates.unshift(acceptSession(myEnc, prekeys, theirIk, payload.x3dh, payload.h))
+    }
+    for (const state of candidates) {
+      const trial = structuredClone(state)
+      let body
+      try {
+        body = ratchetDecrypt(trial, payload)
+        body = b4a.toString(payload.v === PADDED_PAYLOAD_VERSION ? unpad(body) : body)
+      } catch { continue }
+      trial.x3dh = null // they have replied, so they hold the session
+      if (trial.opk) { consumeOneTimePrekey(prekeys, trial.opk); trial.opk = null }
+      entry.old    = [entry.active, ...entry.old].filter(s => s && s !== state).slice(0, MAX_OLD_SESSIONS)
+      entry.active = trial
+      return body
+    }
+    return null
+  } catch {
+    return null // decryption failed — not for us or tampered
+  }
+}
+
+// A `failed` ack means they could not open our session (say they lost their
+// state), so the next note starts over with a fresh X3DH. Returns whether
+// there was an active session to drop.
+export function dropActive (entry) {
+  if (!entry?.active) return false
+  entry.old    = [entry.active, ...entry.old].slice(0, MAX_OLD_SESSIONS)
+  entry.active = null
+  return true
+}
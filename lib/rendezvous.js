@@ -0,0 +1,39 @@
+// Rendezvous topics. Each pair of contacts meets on a Hyperswarm topic of its
+// own, derived from the static X25519 secret their enc keys share and both
+// sign keys: only the pair can compute it, and nothing on the DHT links it to
+// them. The global discovery topic is only needed to meet someone new. `state`
+// is { contacts, blocked, requests, pins } as index.js keeps them.
+import { unhex, deriveSharedSecret, hkdf } from './keys.js'
+
+export function pairTopic (myEncSecret, myPubKey, theirPubKey, theirEncPubKey) {
+  const dh = deriveSharedSecret(myEncSecret, unhex(theirEncPubKey))
+  return hkdf(dh, unhex([myPubKey, theirPubKey].sort().join('')), 'tracwhisper/rendezvous', 32)
+}
+
+// The enc key to meet pubKey under, or null to stay off their pair topic.
+// Every contact we hold counts, chosen or not, and so does anyone whose note
+// waits as a request: they may have added us while we were away, and the pair
+// topic is the one place both sides are sure to look. The pinned key is used,
+// so a changed key does not move the topic until it is trusted.
+export function topicKey (pubKey, { contacts, blocked, requests, pins }) {
+  if (blocked.has(pubKey)) return null
+  const c = contacts.get(pubKey)
+  if (c) return c.encPubKey
+  return requests.has(pubKey) ? pins.get(pubKey)?.encPubKey || null : null
+}
+
+// A contact we have had a verified hello from carries its protocol version
+export const hasMet = (contact) => contact?.v !== undefined
+
+// Whether to be on the global topic. `setting` is the user's true/false, or
+// null for automatic: on while there is nobody to meet on a pair topic, and
+// while notes wait for a contact we have never met. Such a contact may not
+// know us yet, so our side of the pair topic alone would never reach them.
+// `waitingFor` lists the recipients of queued outbox items.
+export function wantsDiscovery (setting, state, waitingFor) {
+  if (setting !== null) return setting
+  for (const pubKey of waitingFor) {
+    if (!state.blocked.has(pubKey) && state.contacts.has(pubKey) && !hasMet(state.contacts.get(pubKey))) return true
+  }
+  return ![...state.contacts.keys(), ...state.requests.keys()].some(pubKey => topicKey(pubKey, state))
+}
@@ -0,0 +1,29 @@
+// Message requests. A note from an identity we hold no contact for cannot be
+// decrypted, so its verified envelope waits in a Map keyed by the sender
+// (from → [{ msg, sealed, at }]) until the user accepts or rejects them. The
+// caps keep a stranger, or many of them, from filling the store.
+export const MAX_REQUESTS      = 100   // senders waiting
+export const MAX_REQUEST_NOTES = 20    // notes held per sender
+
+// Why a note from `from` cannot be held, or null if it can
+export function holdRefusal (requests, from) {
+  const entries = requests.get(from)
+  if (!entries && requests.size >= MAX_REQUESTS) return 'too many senders'
+  if (entries && entries.length >= MAX_REQUEST_NOTES) return 'too many notes'
+  return null
+}
+
+export function holdEntry (requests, msg, sealed, at) {
+  const entries = requests.get(msg.from) || []
+  entries.push({ msg, sealed, at })
+  requests.set(msg.from, entries)
+}
+
+// Drops held notes whose ts is before `cutoff`, and senders left with none
+export function purgeRequests (requests, cutoff) {
+  for (const [from, entries] of requests) {
+    const live = entries.filter(e => e.msg.ts >= cutoff)
+    if (!live.length) requests.delete(from)
+    else if (live.length < entries.length) requests.set(from, live)
+  }
+}
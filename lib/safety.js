@@ -0,0 +1,65 @@
+// Safety numbers. Both sides derive the same number from both identities
+// (sign + enc key), so comparing it in person or over a call proves no key was
+// swapped in transit. The fingerprint is iterated SHA-512 as in Signal, which
+// makes grinding a key whose number collides expensive.
+import b4a from 'b4a'
+import { createHash } from 'crypto'
+
+const FINGERPRINT_VERSION    = 0
+const FINGERPRINT_ITERATIONS = 5200
+export const SAFETY_WORDS = [
+  'acid', 'acorn', 'actor', 'adobe', 'agent', 'alarm', 'album', 'alley', 'amber', 'angel', 'ankle',
+  'apple', 'apron', 'arena', 'armor', 'arrow', 'aspen', 'atlas', 'attic', 'award', 'bacon',
+  'badge', 'bagel', 'baker', 'banjo', 'barn', 'basil', 'basin', 'beach', 'beard', 'bell', 'bench',
+  'berry', 'bison', 'blade', 'blaze', 'bloom', 'board', 'bonus', 'boot', 'boxer', 'brain', 'brave',
+  'bread', 'brick', 'brook', 'brush', 'buddy', 'bugle', 'cabin', 'cable', 'camel', 'canal',
+  'canoe', 'cargo', 'cedar', 'cello', 'chalk', 'chess', 'chief', 'cider', 'clam', 'cliff', 'clock',
+  'cloud', 'clover', 'coach', 'cobra', 'comet', 'coral', 'cotton', 'cougar', 'crane', 'crater',
+  'crayon', 'crown', 'cube', 'daisy', 'dance', 'delta', 'denim', 'desert', 'diary', 'dingo',
+  'donkey', 'dragon', 'drum', 'eagle', 'easel', 'echo', 'elbow', 'elder', 'ember', 'engine',
+  'falcon', 'fern', 'ferry', 'fiber', 'fiddle', 'flame', 'flute', 'forest', 'fossil', 'fox',
+  'frost', 'galaxy', 'garden', 'garlic', 'gecko', 'geyser', 'ginger', 'globe', 'goblin', 'gopher',
+  'grape', 'gravel', 'guitar', 'hammer', 'harbor', 'harp', 'hazel', 'helmet', 'heron', 'hockey',
+  'honey', 'hornet', 'hotel', 'igloo', 'island', 'ivory', 'jacket', 'jaguar', 'jelly', 'jewel',
+  'jigsaw', 'jungle', 'kayak', 'kernel', 'kettle', 'kiwi', 'koala', 'ladder', 'lagoon', 'laser',
+  'lemon', 'lentil', 'lilac', 'lily', 'linen', 'lizard', 'llama', 'locket', 'lotus', 'magnet',
+  'mango', 'maple', 'marble', 'meadow', 'melon', 'meteor', 'mirror', 'mitten', 'monkey', 'moose',
+  'mosaic', 'muffin', 'nectar', 'needle', 'nickel', 'noodle', 'oasis', 'ocean', 'olive', 'onion',
+  'opera', 'orbit', 'orchid', 'otter', 'owl', 'oyster', 'paddle', 'panda', 'parrot', 'pastel',
+  'peach', 'pebble', 'pepper', 'piano', 'pickle', 'pilot', 'pine', 'pirate', 'planet', 'plum',
+  'pocket', 'polar', 'pony', 'poppy', 'prism', 'puzzle', 'quail', 'quartz', 'quilt', 'rabbit',
+  'radar', 'radish', 'raven', 'reef', 'ribbon', 'river', 'robin', 'rocket', 'rodeo', 'ruby',
+  'saddle', 'salmon', 'satin', 'scarf', 'shadow', 'shell', 'silver', 'sketch', 'sled', 'snail',
+  'sonnet', 'spider', 'spruce', 'squid', 'stable', 'statue', 'stream', 'summit', 'sunset', 'swan',
+  'tablet', 'tango', 'temple', 'tiger', 'toast', 'tomato', 'topaz', 'torch', 'tulip', 'tunnel',
+  'turtle', 'valley', 'velvet', 'violin', 'wagon', 'walnut', 'walrus', 'willow', 'window',
+  'wizard', 'yacht', 'zebra'
+]
+
+export function fingerprint (signPub, encPub) {
+  const keys = b4a.concat([signPub, encPub])
+  let h = b4a.concat([b4a.from([0, FINGERPRINT_VERSION]), keys])
+  for (let i = 0; i < FINGERPRINT_ITERATIONS; i++) h = createHash('sha512').update(h).update(keys).digest()
+  return h.subarray(0, 30)
+}
+
+function fingerprintDigits (fp) {
+  let out = ''
+  for (let i = 0; i < 30; i += 5) out += String(fp.readUIntBE(i, 5) % 100000).padStart(5, '0')
+  return out
+}
+
+// Each side is { sign, enc } public keys. The halves are sorted, so both ends
+// get the same { numeric, words } whichever side asks.
+export function safetyNumber (mine, theirs) {
+  const parts = [
+    fingerprint(mine.sign, mine.enc),
+    fingerprint(theirs.sign, theirs.enc)
+  ].map(fp => ({ fp, digits: fingerprintDigits(fp) }))
+    .sort((a, b) => a.digits < b.digits ? -1 : 1)
+  const wordBytes = createHash('sha256').update(b4a.concat([parts[0].fp, parts[1].fp])).digest().subarray(0, 10)
+  return {
+    numeric: (parts[0].digits + parts[1].digits).match(/.{5}/g).join(' '),
+    words:   [...wordBytes].map(b => SAFETY_WORDS[b]).join(' ')
+  }
+}
@@ -0,0 +1,45 @@
+// Signatures cover a canonical encoding (keys sorted at every depth, as in
+// contract/protocol.js) behind a per-type domain prefix, so field order on the
+// wire is irrelevant and a signed hello can never pass for a note or an ack.
+// Signed envelopes carry their version in `v`; any other version is refused.
+import b4a from 'b4a'
+import crypto from 'hypercore-crypto'
+import { hex, unhex, isKeyHex } from './keys.js'
+
+export const ENVELOPE_VERSION = 2
+export const SIG_DOMAIN       = 'tracwhisper/sig/v1/'
+
+export const stableStringify = (value) => {
+  if (value === null || value === undefined) return 'null'
+  if (typeof value !== 'object') return JSON.stringify(value)
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  const keys = Object.keys(value).sort()
+  return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+}
+
+function signedBytes (domain, obj) {
+  return b4a.from(SIG_DOMAIN + domain + '\n' + stableStringify(obj))
+}
+
+export function sign (domain, obj, secretKey) {
+  return hex(crypto.sign(signedBytes(domain, obj), secretKey))
+}
+
+export function verifyMsg (domain, obj, sig, pubKeyHex) {
+  try {
+    return crypto.verify(signedBytes(domain, obj), unhex(sig), unhex(pubKeyHex))
+  } catch { return false }
+}
+
+// Builds a signed envelope: everything but `sig` is covered, `type` and `v` included
+export function signEnvelope (type, fields, secretKey) {
+  const unsigned = { type, v: ENVELOPE_VERSION, ...fields }
+  return { ...unsigned, sig: sign(type, unsigned, secretKey) }
+}
+
+export function verifyEnvelope (msg) {
+  const { sig, ...unsigned } = msg
+  if (typeof sig !== 'string' || !isKeyHex(msg.from)) return false
+  if (msg.v !== ENVELOPE_VERSION) return false
+  return verifyMsg(msg.type, unsigned, sig, msg.from)
+}
@@ -0,0 +1,75 @@
+// Encryption at rest. identity.json keeps its secret keys sealed under
+// scrypt(passphrase) → AES-256-GCM; every other store file is sealed under a
+// store key derived from the sign secret key, so it opens only once the
+// identity is unlocked.
+import b4a from 'b4a'
+import { createCipheriv, createDecipheriv, randomBytes, scrypt } from 'crypto'
+import { promisify } from 'util'
+import { hex, unhex, hkdf } from './keys.js'
+
+// N = 2^17 costs ~128 MB and a fraction of a second per guess
+export const SCRYPT    = { N: 2 ** 17, r: 8, p: 1, maxmem: 256 * 1024 * 1024 }
+export const STORE_AAD = b4a.from('tracwhisper-store-v1')
+
+const scryptAsync = promisify(scrypt)
+
+// Public keys stay readable so `whoami` works while locked; they are bound to
+// the sealed secrets as AAD so they cannot be swapped on disk. `keys` is
+// { sign: { pub, sec }, enc: { pub, sec } } in hex.
+export async function sealIdentity (keys, passphrase, params = SCRYPT) {
+  const pub  = { sign: { pub: keys.sign.pub }, enc: { pub: keys.enc.pub } }
+  const salt = randomBytes(16)
+  const key  = await scryptAsync(passphrase, salt, 32, params)
+  const iv   = randomBytes(12)
+  const cipher = createCipheriv('aes-256-gcm', key, iv)
+  cipher.setAAD(b4a.from(JSON.stringify(pub)))
+  const secrets = JSON.stringify({ sign: keys.sign.sec, enc: keys.enc.sec })
+  const ct = b4a.concat([cipher.update(secrets, 'utf8'), cipher.final()])
+  return {
+    ...pub,
+    sealed: {
+      kdf:  'scrypt',
+      N:    params.N,
+      r:    params.r,
+      p:    params.p,
+      salt: hex(salt),
+      iv:   hex(iv),
+      tag:  hex(cipher.getAuthTag()),
+      ct:   hex(ct)
+    }
+  }
+}
+
+export async function unsealIdentity (raw, passphrase) {
+  const { sealed } = raw
+  const key = await scryptAsync(passphrase, unhex(sealed.salt), 32, { N: sealed.N, r: sealed.r, p: sealed.p, maxmem: SCRYPT.maxmem })
+  try {
+    const decipher = createDecipheriv('aes-256-gcm', key, unhex(sealed.iv))
+    decipher.setAAD(b4a.from(JSON.stringify({ sign: { pub: raw.sign.pub }, enc: { pub: raw.enc.pub } })))
+    decipher.setAuthTag(unhex(sealed.tag))
+    const secrets = JSON.parse(b4a.toString(b4a.concat([decipher.update(unhex(sealed.ct)), decipher.final()])))
+    return { v: raw.v, sign: { pub: raw.sign.pub, sec: secrets.sign }, enc: { pub: raw.enc.pub, sec: secrets.enc } }
+  } catch {
+    throw new Error('Wrong passphrase')
+  }
+}
+
+export function storeKeyFor (signSecretKey) {
+  return hkdf(signSecretKey, STORE_AAD, 'store-key', 32)
+}
+
+export function sealJSON (key, value, aad) {
+  const iv     = randomBytes(12)
+  const cipher = createCipheriv('aes-256-gcm', key, iv)
+  cipher.setAAD(aad)
+  const ct = b4a.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()])
+  return { iv: hex(iv), tag: hex(cipher.getAuthTag()), ct: hex(ct) }
+}
+
+// Throws if the key is wrong or the record was altered
+export function openJSON (key, { iv, tag, ct }, aad) {
+  const decipher = createDecipheriv('aes-256-gcm', key, unhex(iv))
+  decipher.setAAD(aad)
+  decipher.setAuthTag(unhex(tag))
+  return JSON.parse(b4a.toString(b4a.concat([decipher.update(unhex(ct)), decipher.final()]), 'utf8'))
+}
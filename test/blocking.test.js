@@ -0,0 +1,48 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { randomBytes } from 'crypto'
+import { helloAdmission, noteAdmission, checkBlockable, releaseRefused } from '../lib/blocking.js'
+
+const key = () => randomBytes(32).toString('hex')
+const [me, friend, added, stranger, pest] = [key(), key(), key(), key(), key()]
+
+const policy = (allowOnly) => ({
+  blocked:  new Map([[pest, 1]]),
+  allowOnly,
+  contacts: new Map([[friend, { label: 'friend' }], [added, { label: 'added', allowed: true }], [pest, { label: 'pest', allowed: true }]])
+})
+
+test('a blocked identity is refused whatever the mode', () => {
+  for (const allowOnly of [false, true]) {
+    assert.equal(helloAdmission(pest, policy(allowOnly)), 'refuse')
+    assert.equal(noteAdmission(pest, policy(allowOnly)), 'drop')
+  }
+})
+
+test('by default any hello makes a contact and only strangers wait as requests', () => {
+  const p = policy(false)
+  assert.equal(helloAdmission(stranger, p), 'contact')
+  assert.equal(noteAdmission(friend, p), 'deliver')
+  assert.equal(noteAdmission(stranger, p), 'request')
+})
+
+test('allow-only keeps strangers off the contact list and holds notes from contacts never allowed', () => {
+  const p = policy(true)
+  assert.equal(helloAdmission(stranger, p), 'stranger')
+  assert.equal(helloAdmission(friend, p), 'contact')
+  assert.equal(noteAdmission(added, p), 'deliver')
+  assert.equal(noteAdmission(friend, p), 'request')
+  assert.equal(noteAdmission(stranger, p), 'request')
+})
+
+test('only well-formed keys other than our own can be blocked', () => {
+  assert.doesNotThrow(() => checkBlockable(pest, me))
+  assert.throws(() => checkBlockable('nope', me), /32-byte hex/)
+  assert.throws(() => checkBlockable(me, me), /cannot block yourself/)
+})
+
+test('unblocking releases only that identity\'s noise keys', () => {
+  const refused = new Map([['n1', pest], ['n2', stranger], ['n3', pest]])
+  releaseRefused(refused, pest)
+  assert.deepEqual([...refused], [['n2', stranger]])
+})
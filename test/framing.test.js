@@ -0,0 +1,39 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import b4a from 'b4a'
+import { MAX_FRAME, encodeFrame, frameDecoder } from '../lib/framing.js'
+
+function collect () {
+  const frames = []
+  const sizes  = []
+  const decode = frameDecoder(body => frames.push(JSON.parse(b4a.toString(body))), len => sizes.push(len))
+  return { frames, sizes, decode }
+}
+
+test('frames split across chunks come out whole', () => {
+  const { frames, decode } = collect()
+  const frame = encodeFrame({ type: 'note', body: 'x'.repeat(100) })
+  for (let i = 0; i < frame.length; i += 7) decode(frame.subarray(i, i + 7))
+  assert.deepEqual(frames, [{ type: 'note', body: 'x'.repeat(100) }])
+})
+
+test('frames merged into one chunk come out one by one', () => {
+  const { frames, decode } = collect()
+  decode(b4a.concat([encodeFrame({ n: 1 }), encodeFrame({ n: 2 }), encodeFrame({ n: 3 }).subarray(0, 5)]))
+  assert.deepEqual(frames, [{ n: 1 }, { n: 2 }])
+  decode(encodeFrame({ n: 3 }).subarray(5))
+  assert.deepEqual(frames, [{ n: 1 }, { n: 2 }, { n: 3 }])
+})
+
+test('an oversized length is reported and nothing after it is decoded', () => {
+  const { frames, sizes, decode } = collect()
+  const header = b4a.alloc(4)
+  header.writeUInt32BE(MAX_FRAME + 1, 0)
+  decode(b4a.concat([header, encodeFrame({ n: 1 })]))
+  assert.deepEqual(sizes, [MAX_FRAME + 1])
+  assert.deepEqual(frames, [])
+})
+
+test('encodeFrame refuses a message over the frame limit', () => {
+  assert.throws(() => encodeFrame({ body: 'x'.repeat(MAX_FRAME) }), /exceeds/)
+})
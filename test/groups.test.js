@@ -0,0 +1,84 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { randomBytes } from 'crypto'
+import {
+  MAX_GROUP_MEMBERS, validGroupState, groupTransition, groupAccepts, withMember, withoutMember
+} from '../lib/groups.js'
+
+const key = () => randomBytes(32).toString('hex')
+const [alice, bob, carol, dave] = [key(), key(), key(), key()]
+
+const state = (fields = {}) => ({
+  id:      'ab'.repeat(16),
+  name:    'book club',
+  creator: alice,
+  admins:  [alice],
+  members: [alice, bob, carol],
+  epoch:   1,
+  ts:      Date.now(),
+  by:      alice,
+  sig:     'ff',
+  ...fields
+})
+
+test('validGroupState takes a well-formed state', () => {
+  assert.ok(validGroupState(state()))
+})
+
+test('validGroupState refuses malformed states', () => {
+  assert.ok(!validGroupState(null))
+  assert.ok(!validGroupState(state({ id: 'nope' })))
+  assert.ok(!validGroupState(state({ name: '' })))
+  assert.ok(!validGroupState(state({ name: 'x'.repeat(65) })))
+  assert.ok(!validGroupState(state({ epoch: 0 })))
+  assert.ok(!validGroupState(state({ members: [alice, 'not-a-key'] })))
+  assert.ok(!validGroupState(state({ admins: [bob] })), 'the creator must stay an admin')
+  assert.ok(!validGroupState(state({ admins: [alice, dave] })), 'admins must be members')
+  const crowd = Array.from({ length: MAX_GROUP_MEMBERS + 1 }, key)
+  assert.ok(!validGroupState(state({ members: crowd, admins: [alice], creator: alice })))
+})
+
+test('the first state is taken only from an admin and only if it makes us a member', () => {
+  assert.equal(groupTransition(undefined, state(), bob), null)
+  assert.equal(groupTransition(undefined, state(), dave), 'not for us')
+  assert.equal(groupTransition(undefined, state({ by: bob }), carol), 'not for us')
+})
+
+test('a later state needs a higher epoch from a current admin', () => {
+  const cur = state({ epoch: 3 })
+  assert.equal(groupTransition(cur, state({ epoch: 4 }), bob), null)
+  assert.equal(groupTransition(cur, state({ epoch: 3 }), bob), 'stale')
+  assert.equal(groupTransition(cur, state({ epoch: 2 }), bob), 'stale')
+  assert.equal(groupTransition(cur, state({ epoch: 4, by: bob, admins: [alice, bob] }), carol), 'not an admin')
+  assert.equal(groupTransition(cur, state({ epoch: 4, creator: bob, admins: [bob], by: bob }), carol), 'not an admin')
+})
+
+test('a removal is taken even though it drops us', () => {
+  const cur = state()
+  assert.equal(groupTransition(cur, state({ epoch: 2, members: [alice, bob] }), carol), null)
+})
+
+test('group notes are taken only from members of a group we hold and are in', () => {
+  const g = state()
+  assert.ok(groupAccepts(g, bob, carol))
+  assert.ok(!groupAccepts(g, dave, carol), 'sender is not a member')
+  assert.ok(!groupAccepts(g, bob, dave), 'we are not a member')
+  assert.ok(!groupAccepts(undefined, bob, carol), 'unknown group')
+})
+
+test('withMember adds, promotes and refuses duplicates', () => {
+  const g = state()
+  assert.deepEqual(withMember(g, dave), { members: [alice, bob, carol, dave], admins: [alice] })
+  assert.deepEqual(withMember(g, bob, true), { members: [alice, bob, carol], admins: [alice, bob] })
+  assert.throws(() => withMember(g, bob), /Already a member/)
+  assert.throws(() => withMember(state({ admins: [alice, bob] }), bob, true), /Already a member/)
+  const full = state({ members: Array.from({ length: MAX_GROUP_MEMBERS }, (_, i) => i ? key() : alice) })
+  assert.throws(() => withMember(full, dave), /At most/)
+})
+
+test('withoutMember drops a member and their admin rights but never the creator', () => {
+  const g = state({ admins: [alice, bob] })
+  assert.deepEqual(withoutMember(g, bob), { members: [alice, carol], admins: [alice] })
+  assert.throws(() => withoutMember(g, dave), /Not a member/)
+  assert.throws(() => withoutMember(g, alice), /creator cannot be removed/)
+})
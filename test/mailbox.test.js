@@ -0,0 +1,111 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'hypercore-crypto'
+import { hex, encKeyPair } from '../lib/keys.js'
+import { rotateSignedPrekey, prekeyBundle, issueOneTimePrekey, encryptFor, decryptFrom } from '../lib/ratchet.js'
+import {
+  MAILBOX_TTL, MAILBOX_MAX_USERS, MAILBOX_MAX_ITEMS, MAILBOX_MAX_ITEM,
+  mailboxTag, registrationError, acceptDeposit, dropItem, purgeItems
+} from '../lib/mailbox.js'
+
+const user    = crypto.keyPair()
+const userKey = hex(user.publicKey)
+const mailbox = hex(crypto.keyPair().publicKey)
+const ref     = (n) => n.toString(16).padStart(64, '0')
+
+function registered () {
+  const tag = mailboxTag(user.secretKey, mailbox)
+  return { tag, users: new Map([[userKey, { tag, at: 0 }]]), items: new Map() }
+}
+
+test('a mailbox tag is stable per mailbox and differs between mailboxes', () => {
+  const tag = mailboxTag(user.secretKey, mailbox)
+  assert.match(tag, /^[0-9a-f]{64}$/)
+  assert.equal(mailboxTag(user.secretKey, mailbox), tag)
+  assert.notEqual(mailboxTag(user.secretKey, hex(crypto.keyPair().publicKey)), tag)
+  assert.notEqual(mailboxTag(crypto.keyPair().secretKey, mailbox), tag)
+})
+
+test('registration needs a tag nobody else holds and room for a new user', () => {
+  const { tag, users } = registered()
+  assert.equal(registrationError(users, userKey, tag), null)
+  assert.equal(registrationError(users, userKey, 'short'), 'no tag')
+  assert.equal(registrationError(users, 'someone else', tag), 'tag already taken')
+  for (let i = users.size; i < MAILBOX_MAX_USERS; i++) users.set(`user-${i}`, { tag: ref(i), at: 0 })
+  assert.equal(registrationError(users, 'newcomer', ref(MAILBOX_MAX_USERS)), `${MAILBOX_MAX_USERS} users already`)
+  assert.equal(registrationError(users, userKey, tag), null, 'a registered user can always re-register')
+})
+
+test('a deposit is held for whoever registered its tag, once per ref', () => {
+  const { tag, users, items } = registered()
+  const first = acceptDeposit(users, items, { tag, ref: ref(1), item: { n: 1 } }, 1000)
+  assert.equal(first.rcpt, userKey)
+  assert.equal(first.added, true)
+  assert.deepEqual(acceptDeposit(users, items, { tag, ref: ref(1), item: { n: 1 } }, 2000), { ...first, added: false })
+  assert.equal(items.get(userKey).size, 1)
+  assert.equal(items.get(userKey).get(first.key).at, 1000)
+})
+
+test('a deposit for an unknown tag is refused', () => {
+  const { users, items } = registered()
+  assert.deepEqual(acceptDeposit(users, items, { tag: ref(9), ref: ref(1), item: {} }), { rcpt: null, error: 'recipient does not use this mailbox' })
+  assert.equal(items.size, 0)
+})
+
+test('an oversized deposit is refused', () => {
+  const { tag, users, items } = registered()
+  const { error } = acceptDeposit(users, items, { tag, ref: ref(1), item: { ct: 'x'.repeat(MAILBOX_MAX_ITEM) } })
+  assert.equal(error, 'item too large')
+})
+
+test('a full mailbox refuses more', () => {
+  const { tag, users, items } = registered()
+  for (let i = 0; i < MAILBOX_MAX_ITEMS; i++) acceptDeposit(users, items, { tag, ref: ref(i), item: { i } }, 1000)
+  const { error } = acceptDeposit(users, items, { tag, ref: ref(MAILBOX_MAX_ITEMS), item: {} }, 1000)
+  assert.equal(error, 'recipient\'s mailbox is full')
+})
+
+test('items expire after the TTL and can be dropped once handed over', () => {
+  const { tag, users, items } = registered()
+  const old   = acceptDeposit(users, items, { tag, ref: ref(1), item: {} }, 0)
+  const fresh = acceptDeposit(users, items, { tag, ref: ref(2), item: {} }, MAILBOX_TTL)
+  purgeItems(items, MAILBOX_TTL + 1)
+  assert.deepEqual([...items.get(userKey).keys()], [fresh.key])
+  assert.equal(dropItem(items, userKey, old.key), false)
+  assert.equal(dropItem(items, userKey, fresh.key), true)
+  assert.equal(items.has(userKey), false)
+})
+
+test('a note left at the mailbox while the recipient is away reaches them when they fetch', () => {
+  const party = () => {
+    const prekeys = { spks: [], opks: [] }
+    rotateSignedPrekey(prekeys)
+    return { sign: crypto.keyPair(), enc: encKeyPair(), prekeys, entry: { active: null, old: [] } }
+  }
+  const alice = party()
+  const bob   = party()
+  const bobKey = hex(bob.sign.publicKey)
+
+  // Bob registers with the mailbox and hands Alice the mailbox and his tag
+  const users = new Map()
+  const items = new Map()
+  const tag   = mailboxTag(bob.sign.secretKey, mailbox)
+  assert.equal(registrationError(users, bobKey, tag), null)
+  users.set(bobKey, { tag, at: 0 })
+
+  // Bob goes offline; Alice seals a note for him and deposits it under the tag
+  const opk     = issueOneTimePrekey(bob.prekeys, hex(alice.sign.publicKey), () => true)
+  const bundle  = { ...prekeyBundle(bob.prekeys), opk: { id: opk.id, pub: opk.pub } }
+  const payload = encryptFor(alice.entry, alice.enc, bob.enc.publicKey, bundle, 'left while you were away')
+  const put     = { tag, ref: ref(1), item: { type: 'sealed', payload } }
+  const { rcpt, key, added } = acceptDeposit(users, items, put)
+  assert.equal(added, true)
+  assert.equal(rcpt, bobKey, 'the mailbox knows whose tag it is')
+  assert.deepEqual(Object.keys(items.get(bobKey).get(key)).sort(), ['at', 'item', 'size'], 'nothing about the sender is kept')
+
+  // Bob comes back, fetches, opens the note and acks it
+  const [[heldRef, { item }]] = [...items.get(bobKey)]
+  assert.equal(decryptFrom(bob.entry, bob.enc, bob.prekeys, alice.enc.publicKey, item.payload), 'left while you were away')
+  assert.equal(dropItem(items, bobKey, heldRef), true)
+  assert.equal(items.size, 0)
+})
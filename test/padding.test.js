@@ -0,0 +1,40 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import b4a from 'b4a'
+import { PAD_MIN, padme, paddedLength, pad, unpad } from '../lib/padding.js'
+
+test('padme rounds to lengths with few significant bits', () => {
+  assert.equal(padme(256), 256)
+  assert.equal(padme(300), 304)
+  assert.equal(padme(1000), 1024)
+  assert.equal(padme(70000), 71680)
+})
+
+test('paddedLength follows the policy', () => {
+  assert.equal(paddedLength(1, 'padme'), PAD_MIN)
+  assert.equal(paddedLength(301, 'padme'), 304)
+  assert.equal(paddedLength(1, 'buckets'), 256)
+  assert.equal(paddedLength(301, 'buckets'), 1024)
+  assert.equal(paddedLength(65536, 'buckets'), 65536)
+  assert.equal(paddedLength(70001, 'buckets'), 81920)
+})
+
+test('pad and unpad round-trip', () => {
+  for (const policy of ['padme', 'buckets']) {
+    for (const body of ['', 'hi', 'é'.repeat(200), 'x'.repeat(5000)]) {
+      const padded = pad(body, policy)
+      assert.equal(padded.length, paddedLength(b4a.byteLength(body) + 1, policy))
+      assert.equal(b4a.toString(unpad(padded)), body)
+    }
+  }
+})
+
+test('unpad keeps trailing zeros that belong to the body', () => {
+  const body = b4a.from([1, 0, 0])
+  assert.deepEqual(unpad(pad(body, 'padme')), body)
+})
+
+test('unpad refuses a buffer without the 0x80 marker', () => {
+  assert.throws(() => unpad(b4a.alloc(256)), /bad padding/)
+  assert.throws(() => unpad(b4a.from('no marker')), /bad padding/)
+})
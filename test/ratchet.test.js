@@ -0,0 +1,168 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { hex, encKeyPair } from '../lib/keys.js'
+import {
+  PADDED_PAYLOAD_VERSION, OPK_STRANGERS, rotateSignedPrekey, prekeyBundle, issueOneTimePrekey, encryptFor, decryptFrom, dropActive
+} from '../lib/ratchet.js'
+
+function party (name) {
+  const prekeys = { spks: [], opks: [] }
+  rotateSignedPrekey(prekeys)
+  return { name, enc: encKeyPair(), prekeys, entry: { active: null, old: [] } }
+}
+
+// What `from` holds for `to` after `to`'s hello
+function bundleFor (from, to) {
+  const opk = issueOneTimePrekey(to.prekeys, from.name, () => true)
+  return { ...prekeyBundle(to.prekeys), opk: { id: opk.id, pub: opk.pub } }
+}
+
+const seal = (from, to, body, bundle = null, padding = null) =>
+  encryptFor(from.entry, from.enc, to.enc.publicKey, bundle, body, padding)
+
+const open = (to, from, payload) =>
+  decryptFrom(to.entry, to.enc, to.prekeys, from.enc.publicKey, payload)
+
+test('notes open both ways and the X3DH header stops after the first reply', () => {
+  const a = party('a')
+  const b = party('b')
+  const bundle = bundleFor(a, b)
+  const first  = seal(a, b, 'hello', bundle)
+  assert.ok(first.x3dh)
+  assert.equal(first.x3dh.opk, b.prekeys.opks[0].id)
+  assert.equal(open(b, a, first), 'hello')
+  assert.equal(b.prekeys.opks.length, 0, 'one-time prekey consumed')
+
+  assert.equal(open(a, b, seal(b, a, 'hi back')), 'hi back')
+  const third = seal(a, b, 'and again')
+  assert.equal(third.x3dh, undefined)
+  assert.equal(open(b, a, third), 'and again')
+  assert.equal(open(a, b, seal(b, a, 'bye')), 'bye')
+})
+
+test('every note sent before the first reply opens, not just the one that used the prekey', () => {
+  const a = party('a')
+  const b = party('b')
+  const bundle = bundleFor(a, b)
+  const notes  = ['one', 'two', 'three'].map(body => seal(a, b, body, bundle))
+  assert.ok(notes.every(n => n.x3dh.opk === notes[0].x3dh.opk))
+  assert.deepEqual(notes.map(n => open(b, a, n)), ['one', 'two', 'three'])
+})
+
+test('a replayed note does not open twice', () => {
+  const a = party('a')
+  const b = party('b')
+  const first = seal(a, b, 'once', bundleFor(a, b))
+  assert.equal(open(b, a, first), 'once')
+  assert.equal(open(b, a, first), null)
+})
+
+test('a reconnect hands out the same one-time prekey until it is used', () => {
+  const b = party('b')
+  const first = issueOneTimePrekey(b.prekeys, 'a', pk => pk === 'a')
+  assert.equal(issueOneTimePrekey(b.prekeys, 'a', pk => pk === 'a').id, first.id)
+  assert.equal(b.prekeys.opks.length, 1)
+})
+
+test('strangers connecting never evict the one-time prekey a contact holds', () => {
+  const a = party('a')
+  const b = party('b')
+  const isContact = pk => pk === 'a'
+  const bundle = bundleFor(a, b)
+  for (let i = 0; i < OPK_STRANGERS + 50; i++) issueOneTimePrekey(b.prekeys, `stranger-${i}`, isContact)
+  assert.equal(b.prekeys.opks.filter(k => !isContact(k.for)).length, OPK_STRANGERS)
+  assert.ok(b.prekeys.opks.some(k => k.id === bundle.opk.id))
+  assert.equal(open(b, a, seal(a, b, 'still opens', bundle)), 'still opens')
+})
+
+test('a note against an evicted one-time prekey does not open', () => {
+  const a = party('a')
+  const b = party('b')
+  const bundle = bundleFor(a, b)
+  b.prekeys.opks = []
+  assert.equal(open(b, a, seal(a, b, 'lost', bundle)), null)
+})
+
+test('after a failed ack the next note starts a new session the other side can open', () => {
+  const a = party('a')
+  const b = party('b')
+  assert.equal(open(b, a, seal(a, b, 'one', bundleFor(a, b))), 'one')
+  assert.equal(open(a, b, seal(b, a, 'reply')), 'reply')
+
+  // b loses its sessions
+  b.entry = { active: null, old: [] }
+  assert.equal(open(b, a, seal(a, b, 'two')), null)
+
+  assert.equal(dropActive(a.entry), true)
+  assert.equal(a.entry.active, null)
+  const third = seal(a, b, 'three', bundleFor(a, b))
+  assert.ok(third.x3dh)
+  assert.equal(open(b, a, third), 'three')
+  assert.equal(open(a, b, seal(b, a, 'back in sync')), 'back in sync')
+})
+
+test('a new session opens without a one-time prekey when none is left', () => {
+  const a = party('a')
+  const b = party('b')
+  const bundle = bundleFor(a, b)
+  assert.equal(open(b, a, seal(a, b, 'one', bundle)), 'one')
+  assert.equal(bundle.opk, null, 'a bundle\'s one-time prekey is used once')
+  dropActive(a.entry)
+  b.entry = { active: null, old: [] }
+  const next = seal(a, b, 'two', bundle)
+  assert.equal(next.x3dh.opk, null)
+  assert.equal(open(b, a, next), 'two')
+})
+
+test('a contact added by hand is reached without a bundle', () => {
+  const a = party('a')
+  const b = party('b')
+  const first = seal(a, b, 'no prekeys')
+  assert.equal(first.x3dh.spk, null)
+  assert.equal(open(b, a, first), 'no prekeys')
+  assert.equal(open(a, b, seal(b, a, 'reply')), 'reply')
+})
+
+test('notes open out of order, across a DH ratchet step', () => {
+  const a = party('a')
+  const b = party('b')
+  assert.equal(open(b, a, seal(a, b, 'start', bundleFor(a, b))), 'start')
+  const fromB = [1, 2, 3].map(n => seal(b, a, `b${n}`))
+  assert.equal(open(a, b, fromB[2]), 'b3')
+  const fromA = [1, 2].map(n => seal(a, b, `a${n}`))
+  assert.equal(open(a, b, fromB[0]), 'b1')
+  assert.equal(open(b, a, fromA[1]), 'a2')
+  assert.equal(open(a, b, fromB[1]), 'b2')
+  assert.equal(open(b, a, fromA[0]), 'a1')
+})
+
+test('a tampered note does not open and does not advance the session', () => {
+  const a = party('a')
+  const b = party('b')
+  assert.equal(open(b, a, seal(a, b, 'start', bundleFor(a, b))), 'start')
+  const note   = seal(a, b, 'genuine')
+  const forged = { ...note, ct: (note.ct[0] === '0' ? '1' : '0') + note.ct.slice(1) }
+  assert.equal(open(b, a, forged), null)
+  assert.equal(open(b, a, { ...note, h: { ...note.h, n: note.h.n + 5 } }), null)
+  assert.equal(open(b, a, note), 'genuine')
+})
+
+test('a session never keeps our identity key or signed prekey as its ratchet key', () => {
+  for (const withBundle of [false, true]) {
+    const a = party('a')
+    const b = party('b')
+    assert.equal(open(b, a, seal(a, b, 'first', withBundle ? bundleFor(a, b) : null)), 'first')
+    const stored = JSON.stringify(b.entry)
+    assert.ok(!stored.includes(hex(b.enc.secretKey)))
+    assert.ok(!stored.includes(b.prekeys.spks[0].sec))
+  }
+})
+
+test('padded notes hide their length and open to the original body', () => {
+  const a = party('a')
+  const b = party('b')
+  const note = seal(a, b, 'short', bundleFor(a, b), 'padme')
+  assert.equal(note.v, PADDED_PAYLOAD_VERSION)
+  assert.equal(note.ct.length / 2, 256)
+  assert.equal(open(b, a, note), 'short')
+})
@@ -0,0 +1,92 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { randomBytes } from 'crypto'
+import { hex, encKeyPair } from '../lib/keys.js'
+import { pairTopic, topicKey, hasMet, wantsDiscovery } from '../lib/rendezvous.js'
+
+const peer = () => ({ pubKey: hex(randomBytes(32)), enc: encKeyPair() })
+const [alice, bob, carol] = [peer(), peer(), peer()]
+const encOf = (p) => hex(p.enc.publicKey)
+
+const state = (fields = {}) => ({
+  contacts: new Map(),
+  blocked:  new Map(),
+  requests: new Map(),
+  pins:     new Map(),
+  ...fields
+})
+
+test('both sides of a pair derive the same topic, and nobody else does', () => {
+  const ab = pairTopic(alice.enc.secretKey, alice.pubKey, bob.pubKey, encOf(bob))
+  const ba = pairTopic(bob.enc.secretKey, bob.pubKey, alice.pubKey, encOf(alice))
+  assert.equal(ab.length, 32)
+  assert.deepEqual(ab, ba)
+  assert.notDeepEqual(ab, pairTopic(alice.enc.secretKey, alice.pubKey, carol.pubKey, encOf(carol)))
+})
+
+test('every contact held gets a pair topic, chosen or not, unless blocked', () => {
+  const s = state({ contacts: new Map([[bob.pubKey, { encPubKey: encOf(bob), v: 4 }]]) })
+  assert.equal(topicKey(bob.pubKey, s), encOf(bob))
+  s.blocked.set(bob.pubKey, 1)
+  assert.equal(topicKey(bob.pubKey, s), null)
+  assert.equal(topicKey(carol.pubKey, s), null)
+})
+
+test('a stranger whose note waits as a request gets a pair topic under their pinned key', () => {
+  const s = state({ pins: new Map([[carol.pubKey, { encPubKey: encOf(carol) }]]) })
+  assert.equal(topicKey(carol.pubKey, s), null, 'a pin alone is not enough')
+  s.requests.set(carol.pubKey, [{}])
+  assert.equal(topicKey(carol.pubKey, s), encOf(carol))
+})
+
+test('a setting the user chose wins over the automatic one', () => {
+  assert.equal(wantsDiscovery(true, state({ contacts: new Map([[bob.pubKey, { encPubKey: encOf(bob), v: 4 }]]) }), []), true)
+  assert.equal(wantsDiscovery(false, state(), [bob.pubKey]), false)
+})
+
+test('automatic discovery stays on until there is someone to meet on a pair topic', () => {
+  const s = state()
+  assert.equal(wantsDiscovery(null, s, []), true)
+  s.contacts.set(bob.pubKey, { encPubKey: encOf(bob), v: 4 })
+  assert.equal(wantsDiscovery(null, s, []), false)
+  s.blocked.set(bob.pubKey, 1)
+  assert.equal(wantsDiscovery(null, s, []), true)
+})
+
+test('alice writing to bob, added but never met, reaches him once he comes online', () => {
+  // Alice already talks to Carol, then adds Bob by key and writes to him while he is offline
+  const aliceState = state({
+    contacts: new Map([
+      [carol.pubKey, { encPubKey: encOf(carol), v: 4, allowed: true }],
+      [bob.pubKey,   { encPubKey: encOf(bob), allowed: true }]
+    ])
+  })
+  assert.ok(!hasMet(aliceState.contacts.get(bob.pubKey)))
+  // The queued note keeps her on the global topic, where a Bob with no contacts yet looks
+  assert.equal(wantsDiscovery(null, aliceState, [bob.pubKey]), true)
+  assert.equal(wantsDiscovery(null, state(), []), true)
+
+  // They meet there; Bob's hello makes Alice a contact of his, not one he chose
+  const bobState = state({ contacts: new Map([[alice.pubKey, { encPubKey: encOf(alice), v: 4 }]]) })
+  aliceState.contacts.set(bob.pubKey, { ...aliceState.contacts.get(bob.pubKey), v: 4 })
+
+  // From now on both sides sit on the same pair topic and may leave the global one
+  const aliceTopic = pairTopic(alice.enc.secretKey, alice.pubKey, bob.pubKey, topicKey(bob.pubKey, aliceState))
+  const bobTopic   = pairTopic(bob.enc.secretKey, bob.pubKey, alice.pubKey, topicKey(alice.pubKey, bobState))
+  assert.deepEqual(aliceTopic, bobTopic)
+  assert.equal(wantsDiscovery(null, aliceState, [bob.pubKey]), false)
+  assert.equal(wantsDiscovery(null, bobState, []), false)
+})
+
+test('in allow-only mode a note held as a request still puts the sender on a pair topic', () => {
+  // Bob runs allow-only with contacts of his own: Alice's hello only pinned her, her note waits
+  const bobState = state({
+    contacts: new Map([[carol.pubKey, { encPubKey: encOf(carol), v: 4, allowed: true }]]),
+    pins:     new Map([[alice.pubKey, { encPubKey: encOf(alice) }]]),
+    requests: new Map([[alice.pubKey, [{}]]])
+  })
+  const aliceState = state({ contacts: new Map([[bob.pubKey, { encPubKey: encOf(bob), v: 4, allowed: true }]]) })
+  const bobTopic   = pairTopic(bob.enc.secretKey, bob.pubKey, alice.pubKey, topicKey(alice.pubKey, bobState))
+  const aliceTopic = pairTopic(alice.enc.secretKey, alice.pubKey, bob.pubKey, topicKey(bob.pubKey, aliceState))
+  assert.deepEqual(bobTopic, aliceTopic)
+})
@@ -0,0 +1,41 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { MAX_REQUESTS, MAX_REQUEST_NOTES, holdRefusal, holdEntry, purgeRequests } from '../lib/requests.js'
+
+const note = (from, ts = 1000, id = String(ts)) => ({ type: 'note', from, ts, id })
+
+test('held notes are grouped by sender in arrival order', () => {
+  const requests = new Map()
+  holdEntry(requests, note('a', 1), false, 10)
+  holdEntry(requests, note('b', 2), true, 11)
+  holdEntry(requests, note('a', 3), true, 12)
+  assert.deepEqual(requests.get('a').map(e => [e.msg.ts, e.sealed, e.at]), [[1, false, 10], [3, true, 12]])
+  assert.equal(requests.get('b').length, 1)
+})
+
+test('a sender can hold only so many notes', () => {
+  const requests = new Map()
+  for (let i = 0; i < MAX_REQUEST_NOTES; i++) {
+    assert.equal(holdRefusal(requests, 'a'), null)
+    holdEntry(requests, note('a', i), false, i)
+  }
+  assert.equal(holdRefusal(requests, 'a'), 'too many notes')
+  assert.equal(holdRefusal(requests, 'b'), null)
+})
+
+test('only so many senders can wait, but those already waiting can add notes', () => {
+  const requests = new Map()
+  for (let i = 0; i < MAX_REQUESTS; i++) holdEntry(requests, note(`s${i}`), false, 0)
+  assert.equal(holdRefusal(requests, 'newcomer'), 'too many senders')
+  assert.equal(holdRefusal(requests, 's0'), null)
+})
+
+test('purging drops notes older than the cutoff and senders left empty', () => {
+  const requests = new Map()
+  holdEntry(requests, note('a', 100), false, 0)
+  holdEntry(requests, note('a', 300), false, 0)
+  holdEntry(requests, note('b', 150), false, 0)
+  purgeRequests(requests, 200)
+  assert.deepEqual([...requests.keys()], ['a'])
+  assert.deepEqual(requests.get('a').map(e => e.msg.ts), [300])
+})
@@ -0,0 +1,33 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { randomBytes } from 'crypto'
+import { SAFETY_WORDS, safetyNumber } from '../lib/safety.js'
+
+const identity = () => ({ sign: randomBytes(32), enc: randomBytes(32) })
+
+test('both sides see the same safety number', () => {
+  const a = identity()
+  const b = identity()
+  assert.deepEqual(safetyNumber(a, b), safetyNumber(b, a))
+})
+
+test('a safety number is 60 digits in groups of five and ten words', () => {
+  const { numeric, words } = safetyNumber(identity(), identity())
+  assert.match(numeric, /^\d{5}( \d{5}){11}$/)
+  const list = words.split(' ')
+  assert.equal(list.length, 10)
+  assert.ok(list.every(w => SAFETY_WORDS.includes(w)))
+})
+
+test('the word list covers every byte value once', () => {
+  assert.equal(SAFETY_WORDS.length, 256)
+  assert.equal(new Set(SAFETY_WORDS).size, 256)
+})
+
+test('a swapped enc key changes the number', () => {
+  const a = identity()
+  const b = identity()
+  const swapped = { ...b, enc: randomBytes(32) }
+  assert.notEqual(safetyNumber(a, b).numeric, safetyNumber(a, swapped).numeric)
+  assert.notEqual(safetyNumber(a, b).words, safetyNumber(a, swapped).words)
+})
@@ -0,0 +1,47 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import b4a from 'b4a'
+import crypto from 'hypercore-crypto'
+import { hex } from '../lib/keys.js'
+import { ENVELOPE_VERSION, stableStringify, sign, verifyMsg, signEnvelope, verifyEnvelope } from '../lib/signing.js'
+
+const keyPair = crypto.keyPair()
+const from    = hex(keyPair.publicKey)
+
+test('stableStringify sorts keys at every depth', () => {
+  assert.equal(stableStringify({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: null } }), '{"a":{"c":null,"d":[2,{"e":0,"f":1}]},"b":1}')
+  assert.equal(stableStringify({ a: 1, b: 2 }), stableStringify({ b: 2, a: 1 }))
+})
+
+test('a signature only verifies in its own domain', () => {
+  const obj = { from, ts: 1 }
+  const sig = sign('hello', obj, keyPair.secretKey)
+  assert.equal(verifyMsg('hello', { ts: 1, from }, sig, from), true)
+  assert.equal(verifyMsg('note', obj, sig, from), false)
+  assert.equal(verifyMsg('hello', { from, ts: 2 }, sig, from), false)
+  assert.equal(verifyMsg('hello', obj, 'not hex', from), false)
+})
+
+test('an envelope verifies whatever order its fields arrive in', () => {
+  const msg = signEnvelope('ack', { id: 'abc', from, status: 'delivered' }, keyPair.secretKey)
+  assert.equal(msg.v, ENVELOPE_VERSION)
+  const reordered = JSON.parse(JSON.stringify({ sig: msg.sig, status: msg.status, from, id: msg.id, v: msg.v, type: msg.type }))
+  assert.equal(verifyEnvelope(reordered), true)
+})
+
+test('a tampered envelope does not verify', () => {
+  const msg = signEnvelope('ack', { id: 'abc', from, status: 'delivered' }, keyPair.secretKey)
+  assert.equal(verifyEnvelope({ ...msg, status: 'failed' }), false)
+  assert.equal(verifyEnvelope({ ...msg, type: 'note' }), false)
+  assert.equal(verifyEnvelope({ ...msg, v: 3 }), false)
+  assert.equal(verifyEnvelope({ ...msg, extra: 1 }), false)
+  assert.equal(verifyEnvelope({ ...msg, from: hex(crypto.keyPair().publicKey) }), false)
+  assert.equal(verifyEnvelope({ ...msg, sig: undefined }), false)
+})
+
+test('an envelope signed over plain JSON.stringify is refused', () => {
+  const fields = { type: 'ack', id: 'abc', from, status: 'delivered' }
+  const sig    = hex(crypto.sign(b4a.from(JSON.stringify(fields)), keyPair.secretKey))
+  assert.equal(verifyEnvelope({ ...fields, sig }), false)
+  assert.equal(verifyEnvelope({ ...fields, v: ENVELOPE_VERSION, sig }), false)
+})
@@ -0,0 +1,46 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import b4a from 'b4a'
+import { randomBytes } from 'crypto'
+import { hex } from '../lib/keys.js'
+import { sealIdentity, unsealIdentity, storeKeyFor, sealJSON, openJSON } from '../lib/vault.js'
+
+// Cheap scrypt so the tests stay fast; real identities use SCRYPT
+const FAST = { N: 2 ** 10, r: 8, p: 1 }
+
+const keys = {
+  sign: { pub: hex(randomBytes(32)), sec: hex(randomBytes(64)) },
+  enc:  { pub: hex(randomBytes(32)), sec: hex(randomBytes(32)) }
+}
+
+test('an identity opens with its passphrase and keeps its public keys readable', async () => {
+  const sealed = await sealIdentity(keys, 'correct horse', FAST)
+  assert.equal(sealed.sign.pub, keys.sign.pub)
+  assert.equal(sealed.enc.pub, keys.enc.pub)
+  assert.ok(!JSON.stringify(sealed).includes(keys.sign.sec))
+  assert.ok(!JSON.stringify(sealed).includes(keys.enc.sec))
+  const opened = await unsealIdentity({ v: 2, ...sealed }, 'correct horse')
+  assert.deepEqual(opened, { v: 2, ...keys })
+})
+
+test('a wrong passphrase does not open an identity', async () => {
+  const sealed = await sealIdentity(keys, 'correct horse', FAST)
+  await assert.rejects(unsealIdentity(sealed, 'battery staple'), /Wrong passphrase/)
+})
+
+test('public keys swapped on disk do not open', async () => {
+  const sealed = await sealIdentity(keys, 'correct horse', FAST)
+  const swapped = { ...sealed, sign: { pub: hex(randomBytes(32)) } }
+  await assert.rejects(unsealIdentity(swapped, 'correct horse'), /Wrong passphrase/)
+})
+
+test('state sealed under the store key opens only with the same key and AAD', () => {
+  const key   = storeKeyFor(b4a.from(keys.sign.sec, 'hex'))
+  const aad   = b4a.from('tracwhisper-state-v1/sessions.json')
+  const value = { a: 1, b: ['two'] }
+  const box   = sealJSON(key, value, aad)
+  assert.deepEqual(openJSON(key, box, aad), value)
+  assert.deepEqual(storeKeyFor(b4a.from(keys.sign.sec, 'hex')), key)
+  assert.throws(() => openJSON(key, box, b4a.from('tracwhisper-state-v1/prekeys.json')))
+  assert.throws(() => openJSON(storeKeyFor(randomBytes(64)), box, aad))
+})